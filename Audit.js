@@ -1,21 +1,24 @@
 /**
  * Retrieves and logs the types of items in a Google Form specified by its URL.
  *
+ * Use exportFormDefinition to write the full definition to a tab or JSON file.
+ *
  * @param {string} formUrl - The URL of the Google Form to open.
- * @return {void} This function does not return a value.
+ * @return {{ settings: Object, items: Array<Object> }|undefined} The form definition (see readFormDefinition_), or undefined if the form cannot be opened.
  */
 function verboseForm(formUrl) {
   try {
-    // Opens the Forms file by its URL.
-    const form = FormApp.openByUrl(formUrl);
+    // Opens the Forms file by the ID in its URL.
+    const form = FormApp.openById(getIdFromUrl(formUrl));
 
-    // Gets the list of items in the form.
-    const items = form.getItems();
+    // Reads the settings and items of the form.
+    const definition = readFormDefinition_(form);
 
     // Gets the type for each item and logs them.
-    const types = items.map(item => item.getType().name());
+    const types = definition.items.map(item => item.type);
 
     console.log(`DEBUG: Form item types: "${types.join(', ')}"`);
+    return definition;
 
   } catch (e) {
     console.error(`ERROR: Unable to open the form at URL "${formUrl}". ${e.message}`);
@@ -23,24 +26,23 @@ function verboseForm(formUrl) {
 }
 
 /**
- * Retrieves the names of all sheets in the active spreadsheet and logs them.
+ * Retrieves the names of all sheets in a spreadsheet and logs them.
  *
- * This function iterates through all the sheets in the active spreadsheet,
+ * This function iterates through all the sheets in the spreadsheet,
  * collects their names into an array, and logs the list of sheet names 
- * to the console. It can be used for auditing or tracking spreadsheet 
- * configuration and structure.
+ * to the console. Use auditSpreadsheets for a full structure report
+ * of one or more spreadsheets.
  *
- * @param {string} sheetUrl - The URL of the spreadsheet (currently not used in the function).
- * @return {Array<string>} An array of sheet names in the active spreadsheet.
+ * @param {string} [sheetUrl] - The URL or ID of the spreadsheet. Defaults to the active spreadsheet.
+ * @return {Array<string>} An array of sheet names in the spreadsheet.
  *
  * @example
  * const sheetNames = verboseSpreadsheet("https://docs.google.com/spreadsheets/d/yourSpreadsheetId/edit");
  * Logger.log(`Retrieved sheet names: ${sheetNames.join(', ')}`);
  */
 function verboseSpreadsheet(sheetUrl) {
-  var out = new Array();
-  var sheets = SpreadsheetApp.getActiveSpreadsheet().getSheets();
-  for (var i = 0; i < sheets.length; i++) out.push([sheets[i].getName()]);
+  var spreadsheet = sheetUrl ? openSpreadsheet_(sheetUrl) : SpreadsheetApp.getActiveSpreadsheet();
+  var out = spreadsheet.getSheets().map(sheet => sheet.getName());
   console.log(`DEBUG: Sheet names include: "${out.join(', ')}"`);
   return out;
-}
\ No newline at end of file
+}
@@ -0,0 +1,348 @@
+/**
+ * @OnlyCurrentDoc
+ * Indicates that this automation will only attempt to read or modify the spreadsheet this script is bound to.
+ * The authorization request message presented to users reflects the limited scope.
+ */
+
+// Rows handled between cursor saves and status flushes.
+const BATCH_CHUNK_SIZE = 20;
+// Stop well before the 6-minute Apps Script execution limit.
+const BATCH_TIME_LIMIT_MS = 4.5 * 60 * 1000;
+// Delay before continuing a job that ran out of execution time.
+const BATCH_RESUME_DELAY_MS = 60 * 1000;
+// Delay before retrying a job that ran out of the daily email quota.
+const BATCH_QUOTA_RETRY_MS = 60 * 60 * 1000;
+const BATCH_JOB_PREFIX = 'batchJob:';
+const BATCH_STATE_PREFIX = 'batchState:';
+// Job fields that grow with the data: the walk position, the skip and failure reasons and the parameters.
+const BATCH_SPLIT_FIELDS = ['state', 'reasons', 'params'];
+// PropertiesService rejects values over 9 KB, so the split fields are saved in pieces of this many
+// characters (at most 3 bytes each in UTF-8).
+const BATCH_STATE_CHUNK_LENGTH = 2500;
+const BATCH_TRIGGER_HANDLER = 'resumeBatchJobs';
+// User property holding when the scheduled resume trigger fires, in milliseconds since the epoch.
+const BATCH_RESUME_AT_PROPERTY = 'batchResumeAt';
+
+/**
+ * Chunk outcomes returned by batch handlers.
+ *
+ * MORE: rows remain and the job can continue right away.
+ * QUOTA: rows remain but the daily quota is exhausted; retry later.
+ * DONE: every row has been processed.
+ * FAILED: the handler threw; the job is dropped.
+ */
+const BATCH_OUTCOME = Object.freeze({ MORE: 'more', QUOTA: 'quota', DONE: 'done', FAILED: 'failed' });
+
+/**
+ * Creates a resumable batch job, saves it and processes as many chunks as the current execution allows.
+ *
+ * Each job is stored in the user's PropertiesService as JSON with a row cursor, and doubles as
+ * the run record that is written to the 'Run Log' tab when it finishes. When the
+ * execution nears its time limit, or the handler reports an exhausted quota, the cursor is
+ * saved and a time-based trigger is scheduled to call resumeBatchJobs().
+ *
+ * The job runs under the same user lock as resumeBatchJobs, so a resume that is already running
+ * cannot pick up the new job and process the same rows at the same time. If the lock stays
+ * taken, the job is saved and left to the resume trigger. A caller that already holds the lock,
+ * such as processDueMerges_, keeps it.
+ *
+ * @param {string} type The job type, which selects the chunk handler (see getBatchHandler_).
+ * @param {Object} params Plain JSON parameters needed by the handler to reopen its sheet and resources.
+ * @return {{ job: Object, outcome: string }} The job state and the outcome of this execution.
+ *
+ * @example
+ * const result = startBatchJob_('sendEmails', { sheetId: '1B2c...xyr', tabName: 'Mail Merge', ... });
+ */
+function startBatchJob_(type, params) {
+  const run = newRunLog_(type, params);
+  const job = {
+    id: run.id,
+    type: type,
+    params: params,
+    cursor: 0,
+    processed: 0,
+    skipped: 0,
+    failed: 0,
+    reasons: run.reasons,
+    user: run.user,
+    logSpreadsheetId: run.logSpreadsheetId,
+    createdAt: run.startedAt
+  };
+  const startTime = Date.now();
+  const lock = LockService.getUserLock();
+  const heldLock = lock.hasLock();
+  if (!heldLock && !lock.tryLock(10 * 1000)) {
+    console.warn(`Batch jobs are already running; batch job '${job.id}' will start with them.`);
+    saveBatchJob_(job);
+    scheduleBatchResume_(BATCH_RESUME_DELAY_MS);
+    return { job: job, outcome: BATCH_OUTCOME.MORE };
+  }
+
+  try {
+    console.info(`Starting batch job '${job.id}' of type '${type}'`);
+    saveBatchJob_(job);
+    return { job: job, outcome: runBatchJob_(job, startTime) };
+  } finally {
+    if (!heldLock) {
+      lock.releaseLock();
+    }
+  }
+}
+
+/**
+ * Describes the outcome of a batch job execution for a toast message.
+ *
+ * @param {string} label A short name for the utility, e.g. 'Mail merge'.
+ * @param {{ job: Object, outcome: string }} result The value returned by startBatchJob_.
+ * @return {string} A user-facing summary.
+ */
+function describeBatchOutcome_(label, result) {
+  const job = result.job;
+  const counts = `${job.processed} processed, ${job.skipped} skipped, ${job.failed} failed`;
+  switch (result.outcome) {
+    case BATCH_OUTCOME.DONE:
+      return `${label} finished: ${counts}.`;
+    case BATCH_OUTCOME.QUOTA:
+      return `${label} paused at row ${job.cursor + 2} because the daily email quota is used up (${counts}). It will resume automatically.`;
+    case BATCH_OUTCOME.MORE:
+      return `${label} paused at row ${job.cursor + 2} to stay under the execution time limit (${counts}). It will resume automatically.`;
+    default:
+      return `${label} failed at row ${job.cursor + 2} (${counts}). See the execution log for details.`;
+  }
+}
+
+/**
+ * Continues every unfinished batch job. Called by the time-based trigger set by scheduleBatchResume_.
+ *
+ * @return {void} This function does not return a value.
+ */
+function resumeBatchJobs() {
+  const startTime = Date.now();
+  const lock = LockService.getUserLock();
+  if (!lock.tryLock(10 * 1000)) {
+    console.warn(`resumeBatchJobs() is already running; skipping this execution.`);
+    return;
+  }
+  try {
+    deleteBatchTriggers_();
+    const jobs = listBatchJobs_();
+    console.info(`Resuming ${jobs.length} batch job(s)`);
+    for (const job of jobs) {
+      const outcome = runBatchJob_(job, startTime);
+      if (outcome === BATCH_OUTCOME.MORE) {
+        // Out of time; the remaining jobs are picked up by the scheduled trigger.
+        break;
+      }
+    }
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Lists the batch jobs that have not finished yet.
+ *
+ * The fields that saveBatchJob_ splits are reassembled from their pieces.
+ *
+ * @return {Array<Object>} The saved job states.
+ */
+function listBatchJobs_() {
+  const properties = PropertiesService.getUserProperties().getProperties();
+  return Object.keys(properties)
+    .filter(key => key.indexOf(BATCH_JOB_PREFIX) === 0)
+    .map(key => {
+      const job = JSON.parse(properties[key]);
+      Object.keys(job.chunks || {}).forEach(field => {
+        let text = '';
+        for (let i = 0; i < job.chunks[field]; i++) {
+          text += properties[batchStateKey_(job, field, i)] || '';
+        }
+        job[field] = JSON.parse(text);
+      });
+      return job;
+    });
+}
+
+/**
+ * Processes chunks of a job until it finishes, fails, runs out of quota or nears the time limit.
+ *
+ * @param {Object} job The job state; its cursor and counters are updated in place.
+ * @param {number} startTime The execution start time in milliseconds.
+ * @return {string} One of the BATCH_OUTCOME values.
+ */
+function runBatchJob_(job, startTime) {
+  const context = {};
+  let outcome = BATCH_OUTCOME.MORE;
+
+  try {
+    const handler = getBatchHandler_(job.type);
+    while (outcome === BATCH_OUTCOME.MORE && Date.now() - startTime < BATCH_TIME_LIMIT_MS) {
+      console.time(`Batch job '${job.id}' chunk time `);
+      outcome = handler(job, context);
+      console.timeEnd(`Batch job '${job.id}' chunk time `);
+      saveBatchJob_(job);
+      console.log(`Batch job '${job.id}' cursor = '${job.cursor}', outcome = '${outcome}'`);
+    }
+  } catch (e) {
+    console.error(`Batch job '${job.id}' of type '${job.type}' failed at cursor '${job.cursor}'. Error: ${e.message}`);
+    job.error = e.message;
+    outcome = BATCH_OUTCOME.FAILED;
+  }
+
+  if (outcome === BATCH_OUTCOME.DONE || outcome === BATCH_OUTCOME.FAILED) {
+    deleteBatchJob_(job);
+    finishBatchRunLog_(job, outcome);
+    console.info(`Batch job '${job.id}' finished with outcome '${outcome}': ${job.processed} processed, ${job.skipped} skipped, ${job.failed} failed`);
+  } else {
+    scheduleBatchResume_(outcome === BATCH_OUTCOME.QUOTA ? BATCH_QUOTA_RETRY_MS : BATCH_RESUME_DELAY_MS);
+    console.warn(`Batch job '${job.id}' paused at cursor '${job.cursor}' with outcome '${outcome}'`);
+  }
+  return outcome;
+}
+
+/**
+ * Returns the chunk handler for a job type.
+ *
+ * Handlers are resolved at call time because Apps Script loads each file in turn and the
+ * handlers live in other files. A handler processes up to BATCH_CHUNK_SIZE rows starting at
+ * job.cursor, writes their status to the sheet, advances job.cursor and returns a BATCH_OUTCOME.
+ * The context object is shared by all chunks of one execution and can cache opened resources.
+ *
+ * @param {string} type The job type.
+ * @return {function(Object, Object): string} The chunk handler.
+ * @throws {Error} If the job type is unknown.
+ */
+function getBatchHandler_(type) {
+  switch (type) {
+    case 'sendEmails':
+      return processMergeChunk_;
+    case 'createCopies':
+      return processCopyChunk_;
+    case 'driveInventory':
+      return processInventoryChunk_;
+    case 'sharingAudit':
+      return processSharingAuditChunk_;
+    case 'sharingChanges':
+      return processSharingChangesChunk_;
+    case 'folderTreeCopy':
+      return processFolderTreeCopyChunk_;
+    case 'driveActions':
+      return processDriveActionsChunk_;
+    case 'exportFiles':
+      return processExportChunk_;
+    case 'mergeReplyScan':
+      return processReplyScanChunk_;
+    case 'mergeFollowUp':
+      return processFollowUpChunk_;
+    case 'spreadsheetAudit':
+      return processSpreadsheetAuditChunk_;
+    default:
+      throw new Error(`Unknown batch job type: '${type}'`);
+  }
+}
+
+/**
+ * Saves a job state to the user's properties.
+ *
+ * The BATCH_SPLIT_FIELDS grow with the data, such as the position of a folder tree walk or the
+ * rows grouped by reason, so each is saved apart from the job and split over as many properties
+ * as it needs; job.chunks records how many per field. This keeps every value under the 9 KB
+ * limit of PropertiesService. Pieces left over from a larger earlier save are removed.
+ *
+ * @param {Object} job The job state.
+ * @return {void} This function does not return a value.
+ */
+function saveBatchJob_(job) {
+  const properties = PropertiesService.getUserProperties();
+  const values = {};
+  const previousChunks = job.chunks || {};
+  const stored = Object.assign({}, job);
+  job.chunks = {};
+
+  BATCH_SPLIT_FIELDS.forEach(field => {
+    delete stored[field];
+    if (job[field] === undefined) {
+      return;
+    }
+    const text = JSON.stringify(job[field]);
+    job.chunks[field] = Math.ceil(text.length / BATCH_STATE_CHUNK_LENGTH);
+    for (let i = 0; i < job.chunks[field]; i++) {
+      values[batchStateKey_(job, field, i)] = text.slice(i * BATCH_STATE_CHUNK_LENGTH, (i + 1) * BATCH_STATE_CHUNK_LENGTH);
+    }
+  });
+
+  stored.chunks = job.chunks;
+  values[BATCH_JOB_PREFIX + job.id] = JSON.stringify(stored);
+  properties.setProperties(values);
+
+  Object.keys(previousChunks).forEach(field => {
+    for (let i = job.chunks[field] || 0; i < previousChunks[field]; i++) {
+      properties.deleteProperty(batchStateKey_(job, field, i));
+    }
+  });
+}
+
+/**
+ * Removes a job state from the user's properties.
+ *
+ * @param {Object} job The job state.
+ * @return {void} This function does not return a value.
+ */
+function deleteBatchJob_(job) {
+  const properties = PropertiesService.getUserProperties();
+  properties.deleteProperty(BATCH_JOB_PREFIX + job.id);
+  Object.keys(job.chunks || {}).forEach(field => {
+    for (let i = 0; i < job.chunks[field]; i++) {
+      properties.deleteProperty(batchStateKey_(job, field, i));
+    }
+  });
+}
+
+/**
+ * Returns the property key of one piece of a split job field.
+ *
+ * @param {Object} job The job state.
+ * @param {string} field One of BATCH_SPLIT_FIELDS.
+ * @param {number} index The 0-based piece number.
+ * @return {string} The property key.
+ */
+function batchStateKey_(job, field, index) {
+  return `${BATCH_STATE_PREFIX}${job.id}:${field}:${index}`;
+}
+
+/**
+ * Schedules resumeBatchJobs() to run after a delay, unless a resume trigger already fires sooner.
+ *
+ * Triggers do not report when they fire, so the time is kept in a user property. A trigger that
+ * fires later, such as a quota retry an hour away, is replaced so that a job that only ran out
+ * of time continues after the shorter delay.
+ *
+ * @param {number} delayMs The delay in milliseconds.
+ * @return {void} This function does not return a value.
+ */
+function scheduleBatchResume_(delayMs) {
+  const properties = PropertiesService.getUserProperties();
+  const resumeAt = Date.now() + delayMs;
+  const scheduledAt = Number(properties.getProperty(BATCH_RESUME_AT_PROPERTY));
+  const exists = ScriptApp.getProjectTriggers().some(t => t.getHandlerFunction() === BATCH_TRIGGER_HANDLER);
+  if (exists && scheduledAt && scheduledAt <= resumeAt) {
+    console.log(`A '${BATCH_TRIGGER_HANDLER}' trigger is already scheduled for ${new Date(scheduledAt).toISOString()}.`);
+    return;
+  }
+  deleteBatchTriggers_();
+  ScriptApp.newTrigger(BATCH_TRIGGER_HANDLER).timeBased().after(delayMs).create();
+  properties.setProperty(BATCH_RESUME_AT_PROPERTY, String(resumeAt));
+  console.info(`Scheduled '${BATCH_TRIGGER_HANDLER}' in ${Math.round(delayMs / 1000)} seconds`);
+}
+
+/**
+ * Deletes the one-off resume triggers, which stay listed on the project after they fire.
+ *
+ * @return {void} This function does not return a value.
+ */
+function deleteBatchTriggers_() {
+  ScriptApp.getProjectTriggers()
+    .filter(t => t.getHandlerFunction() === BATCH_TRIGGER_HANDLER)
+    .forEach(t => ScriptApp.deleteTrigger(t));
+  PropertiesService.getUserProperties().deleteProperty(BATCH_RESUME_AT_PROPERTY);
+}
@@ -5,24 +5,43 @@ let thisTab
 let setRange
 let urlColumn
 
+// Optional header columns that receive the details of copied Google Forms.
+const FORM_SETUP_COLS = Object.freeze({
+  publishedUrl: 'Form URL',
+  editUrl: 'Form Edit URL',
+  responseTab: 'Response Tab'
+});
+
 /**
  * Creates copies of a specified template file in a designated Google Drive folder.
  *
  * This function takes a template file and generates multiple copies based on a list 
  * of filenames provided in a specified range of a Google Sheet. It optionally configures 
  * Google Forms to use the new copies and logs the URLs of the newly created files in the 
- * specified column of the sheet.
+ * specified column of the sheet. When the template is a Form, its published URL, edit URL and
+ * response tab name are also written to the 'Form URL', 'Form Edit URL' and 'Response Tab'
+ * columns, for those of these headers that exist. With exportOptions, each copy is also exported
+ * to PDF, DOCX, XLSX or PPTX after it is filled, and the export URL is written to the export column.
  *
  * @param {string} fileSource The file URL or ID of the template file to duplicate. If invalid or missing, the user is prompted to provide it.
  * @param {string} fileDestination The parent folder URL or ID where the copies will be stored. If invalid or missing, the user is prompted to provide it.
  * @param {string} [thisSheet] The file URL or ID of the Google Sheets file containing the filenames. Defaults to the active spreadsheet if not provided.
  * @param {string} [thisTab] The name of the tab in the Google Sheets file where the filenames are located. Defaults to the currently active tab if not provided.
- * @param {string} [setRange] A1 notation range indicating where the filenames are located in the sheet. If invalid or missing, the user is prompted to provide it.
+ * @param {string} [setRange] Unused: every data row of the tab is processed. Kept so that existing calls keep their argument positions.
  * @param {number} urlColumn The column index (1-based) of the sheet where the file URLs will be written. If mismatched with the header, an error is logged, and the function aborts.
- * @param {string} [responseTarget] The URL or ID of the sheet to send responses to if the template is a Google Form. If not provided, no response sheet is linked.
- * @param {string} [newTabName] The desired name for the new response sheet created by the form. If not provided, the default tab name is retained.
+ * @param {string} [responseTarget] The URL or ID of the sheet to send responses to if the template is a Google Form. If not provided, the user is asked; a blank answer links no response sheet.
+ * @param {string} [newTabName] The desired name for the new response sheet created by each form; may contain {{Header}} placeholders. If not provided, the response tab is named after the row's filename.
+ * @param {boolean} [fillTemplate] Whether to replace {{Header}} placeholders inside each Docs, Sheets or Slides copy with the values of its row. If not provided, the user is asked.
+ * @param {string} [nameHeader] The header of the column with the filenames to copy. If not provided, the user is prompted.
+ * @param {string} [urlHeader] The header of the column that receives the new copy URLs. If not provided, the user is prompted.
+ * @param {{ format: string, folder: (string|undefined), header: (string|undefined), replaceCopy: (boolean|undefined) }} [exportOptions]
+ * Exports each copy when format ('pdf', 'docx', 'xlsx' or 'pptx') is set. The export is saved in folder (defaults to the
+ * destination folder) and its URL written to the header column (defaults to 'Export URL'). With replaceCopy, the native
+ * copy is trashed and the URL column receives the export URL instead; the export column is then optional.
+ * @param {string} [duplicatePolicy] What to do when the destination already has a file with a row's name: 'skip' (write the
+ * existing file's URL), 'overwrite' or 'suffix' (see copyFileWithPolicy_). If not provided, the user is asked; blank means skip.
  *
- * @returns {void} This function does not return any value.
+ * @returns {{ job: Object, outcome: string }|undefined} The batch job result, or undefined if the inputs were invalid.
  *
  * @throws {Error} Throws an error if any provided parameters are invalid or if there are issues with file copying.
  *
@@ -30,39 +49,48 @@ let urlColumn
  * createCopies('templateFileURL', 'destinationFolderURL', 'sheetURL', 'TabName', 'A2:A10', 2);
  * 
  */
-function createCopies(fileSource, fileDestination, thisSheet, thisTab, setRange, urlColumn, responseTarget) {
-  
-  fileSource = "https://docs.google.com/spreadsheets/d/1EsfzqMSGEmTlwFy05FS80_KxsPhlpjNDCSgZm6W9ybA/edit?gid=42594969#gid=42594969";
-  fileDestination  = "https://drive.google.com/drive/u/0/folders/1bwQaMsamNznAQQfBsxNBBf8je7904e2V";
-  thisSheet = "https://docs.google.com/spreadsheets/d/1ISo30LLEVO4k8wnIYAkpsALfbNuVHYAEpLIXhUHXed4/edit?gid=39455103#gid=39455103";
-  thisTab = "Files with link variations";
-  setRange = "C5:C6";
-  urlColumn = "4";
-
+function createCopies(fileSource, fileDestination, thisSheet, thisTab, setRange, urlColumn, responseTarget, newTabName, fillTemplate, nameHeader, urlHeader, exportOptions, duplicatePolicy) {
   var activeSpreadsheet = SpreadsheetApp.getActiveSpreadsheet();
   var activeSheet = SpreadsheetApp.getActiveSheet();
 
   console.log(`Start createCopies('${fileSource}', '${fileDestination}', '${thisSheet}', '${thisTab}', '${setRange}', '${urlColumn}', '${responseTarget}')`);
   console.time("createCopies() time ");
 
-  const COPY_NAME_COL = getUserInput("Enter the header name for filenames to copy:");
+  const COPY_NAME_COL = nameHeader || getUserInput("Enter the header name for filenames to copy:");
   if (!COPY_NAME_COL) {
     console.error("User input for COPY_NAME_COL was invalid or canceled.");
     return;
   }
   console.log(`COPY_NAME_COL = '${COPY_NAME_COL}'`);
 
-  const COPY_URL_COL = getUserInput("Enter the header name to receive new copy URLs:");
+  const COPY_URL_COL = urlHeader || getUserInput("Enter the header name to receive new copy URLs:");
   if (!COPY_URL_COL) {
     console.error("User input for COPY_URL_COL was invalid or canceled.");
     return;
   }
   console.log(`COPY_URL_COL = '${COPY_URL_COL}'`);
 
+  if (fillTemplate === undefined) {
+    fillTemplate = getUserConfirmation("Replace {{Header}} placeholders in each copy with the values of its row?");
+  }
+  console.log(`fillTemplate = '${fillTemplate}'`);
+
+  if (duplicatePolicy === undefined) {
+    duplicatePolicy = getUserInput('If a file with the same name already exists, type skip, overwrite or suffix (blank to skip)');
+  }
+  try {
+    duplicatePolicy = normalizeDuplicatePolicy_(duplicatePolicy);
+  } catch (e) {
+    activeSpreadsheet.toast(`Copy creation failed: ${e.message}`);
+    console.error(`Abort script due to invalid duplicatePolicy: '${duplicatePolicy}'`);
+    return;
+  }
+  console.log(`duplicatePolicy = '${duplicatePolicy}'`);
+
   if (!fileSource) {
     console.warn(`createCopies() was run with a falsy fileSource parameter: '${fileSource}'`);
     console.info(`Prompting user for fileSource input.`);
-    fileSource = getIdFromUrl(getUserInput('Enter the template file URL: '));
+    fileSource = getUserInput('Enter the template file URL: ');
     console.warn(`fileSource = '${fileSource}'`);
   } else {
     console.log(`fileSource = '${fileSource}'`);
@@ -71,7 +99,7 @@ function createCopies(fileSource, fileDestination, thisSheet, thisTab, setRange,
   if (!fileDestination) {
     console.warn(`createCopies() was run with a falsy fileDestination parameter: '${fileDestination}'`);
     console.info(`Prompting user for fileDestination input.`);
-    fileDestination = getIdFromUrl(getUserInput('Enter the destination folder URL: '));
+    fileDestination = getUserInput('Enter the destination folder URL: ');
     console.warn(`fileDestination = '${fileDestination}'`);
   } else {
     console.log(`fileDestination = '${fileDestination}'`);
@@ -95,18 +123,9 @@ function createCopies(fileSource, fileDestination, thisSheet, thisTab, setRange,
     console.log(`thisTab name = '${activeSheet.getName()}'\rthisTab ID = '${activeSheet.getSheetId()}'`);
   }
 
-  if (!setRange) {
-    console.warn(`createCopies() was run with a falsy setRange parameter: '${setRange}'`);
-    console.info(`Prompting user for setRange input.`);
-    setRange = getUserInput('Enter the filename list range in A1 notation: ');
-    console.warn(`setRange = '${setRange}'`);
-  } else {
-    console.log(`setRange = '${setRange}'`);
-  }
-
-  let sheet = SpreadsheetApp.openByUrl(thisSheet).getSheetByName(thisTab);
-  let template = DriveApp.getFileById(getIdFromUrl(fileSource)); // File you want to copy
-  let folder = DriveApp.getFolderById(getIdFromUrl(fileDestination)); // Destination folder where the copies will be stored.
+  let sheet = openSpreadsheet_(thisSheet).getSheetByName(thisTab);
+  let template = openDriveFile_(fileSource); // File you want to copy
+  let folder = openDriveFolder_(fileDestination); // Destination folder where the copies will be stored.
   // https://stackoverflow.com/a/22917499/1027723
   let dataRange = sheet.getDataRange(); // Fetch all the values in the Range.
   let data = dataRange.getDisplayValues(); // convert 2d array into object array
@@ -149,7 +168,7 @@ function createCopies(fileSource, fileDestination, thisSheet, thisTab, setRange,
     console.warn(`Falsy heads.includes(COPY_URL_COL): '${urlColumn}'`);
     console.log(`Truthy urlColumn parameter: '${heads.includes(COPY_URL_COL)}'`);
     console.log(`Proceedign with urlColumn = '${urlColumn}'`);
-    urlColumn = urlColumn;
+    urlColumn = urlColumn - 1;
   } else {
     activeSpreadsheet.toast(`Copy creation failed.`);
     console.error(`Unknown fatal error occurred.`);
@@ -158,10 +177,247 @@ function createCopies(fileSource, fileDestination, thisSheet, thisTab, setRange,
 
   console.log(`urlColumn = '${urlColumn}'\rindexOf(COPY_URL_COL) = '${heads.indexOf(COPY_URL_COL)}'`);
 
-  mapArraysToObjects(data, urlColumn, COPY_NAME_COL, COPY_URL_COL);
+  if (template.getMimeType() === MimeType.GOOGLE_FORMS && responseTarget === undefined) {
+    console.info(`Prompting user for responseTarget input.`);
+    responseTarget = getUserInput('Enter the spreadsheet link to collect form responses (leave blank to skip):');
+  }
+  console.log(`responseTarget = '${responseTarget}'\rnewTabName = '${newTabName}'`);
+
+  const exportParams = { exportFormat: '', exportFolderId: '', exportColIdx: -1, replaceCopy: false };
+  if (exportOptions && exportOptions.format) {
+    const exportFormat = String(exportOptions.format).trim().toLowerCase();
+    if (!EXPORT_MIME_TYPES[exportFormat]) {
+      activeSpreadsheet.toast(`Copy creation failed due to unknown export format: '${exportFormat}'`);
+      console.error(`Abort script due to unknown export format: '${exportFormat}'`);
+      return;
+    }
+    const exportHeader = exportOptions.header || EXPORT_URL_HEADER;
+    if (!heads.includes(exportHeader) && !exportOptions.replaceCopy) {
+      activeSpreadsheet.toast(`Copy creation failed due to missing column header: '${exportHeader}'`);
+      console.error(`Abort script due to missing column header: '${exportHeader}'`);
+      return;
+    }
+    const exportFolder = exportOptions.folder ? openDriveFolder_(exportOptions.folder) : folder;
+    Object.assign(exportParams, {
+      exportFormat: exportFormat,
+      exportFolderId: exportFolder.getId(),
+      exportFolderResourceKey: exportFolder.getResourceKey() || '',
+      exportColIdx: heads.indexOf(exportHeader),
+      replaceCopy: Boolean(exportOptions.replaceCopy)
+    });
+  }
+  console.log(`exportParams = '${JSON.stringify(exportParams)}'`);
 
-  console.timeEnd("Total row processing time");
+  const result = startBatchJob_('createCopies', Object.assign({
+    sheetId: sheet.getParent().getId(),
+    tabName: sheet.getName(),
+    templateId: template.getId(),
+    // Links shared with a resource key cannot be reopened by ID alone.
+    templateResourceKey: template.getResourceKey() || '',
+    folderId: folder.getId(),
+    folderResourceKey: folder.getResourceKey() || '',
+    nameHeader: COPY_NAME_COL,
+    urlColIdx: Number(urlColumn),
+    fillTemplate: Boolean(fillTemplate),
+    responseTargetId: responseTarget ? getIdFromUrl(responseTarget) : '',
+    newTabName: newTabName || '',
+    duplicatePolicy: duplicatePolicy
+  }, exportParams));
+  activeSpreadsheet.toast(describeBatchOutcome_('Copy creation', result));
 
   console.timeEnd("createCopies() time ");
   console.log(`End createCopies()`);
-}
\ No newline at end of file
+  return result;
+}
+
+/**
+ * Creates the next chunk of copies for a createCopies batch job and writes their URLs to the sheet.
+ *
+ * Rows with a blank name, an existing URL, or hidden by a filter are skipped and keep their
+ * current URL cell. Failures are written to the URL cell of the row instead of a URL. When a
+ * copy is created but cannot be filled or set up as a form, the URL is still written and the
+ * error is left as a note on the URL cell. Exports are written to the export column, if any.
+ * When the destination already has a file with the row's name, the job's duplicate policy is
+ * applied and noted on the URL cell; a kept existing file is not filled, set up or exported again.
+ *
+ * @param {Object} job The batch job state created by createCopies; job.cursor is the 0-based data row to start from.
+ * @param {Object} context Resources cached across chunks of the same execution.
+ * @return {string} One of the BATCH_OUTCOME values.
+ *
+ * @throws {Error} If the sheet, template or destination folder can no longer be opened.
+ */
+function processCopyChunk_(job, context) {
+  const params = job.params;
+
+  if (!context.sheet) {
+    context.sheet = SpreadsheetApp.openById(params.sheetId).getSheetByName(params.tabName);
+    if (!context.sheet) {
+      throw new Error(`Sheet named '${params.tabName}' was not found in '${params.sheetId}'.`);
+    }
+    const data = context.sheet.getDataRange().getDisplayValues();
+    const heads = data.shift();
+    context.data = data;
+    context.heads = heads;
+    context.rows = mapArraysToObjects(heads, data);
+    context.template = getDriveFileById_(params.templateId, params.templateResourceKey);
+    context.folder = getDriveFolderById_(params.folderId, params.folderResourceKey);
+    if (params.exportFormat) {
+      context.exportFolder = getDriveFolderById_(params.exportFolderId, params.exportFolderResourceKey);
+    }
+  }
+
+  const sheet = context.sheet;
+  const nameHeader = params.nameHeader;
+  const start = job.cursor;
+  const end = Math.min(start + BATCH_CHUNK_SIZE, context.rows.length);
+  const out = [];
+  const rowNotes = [];
+  const formResults = [];
+  const exportResults = [];
+
+  for (let rowIdx = start; rowIdx < end; rowIdx++) {
+    const row = context.rows[rowIdx];
+    const existingUrl = context.data[rowIdx][params.urlColIdx] || '';
+    const hidden = sheet.isRowHiddenByFilter(rowIdx + 2);
+
+    if (row[nameHeader] !== '' && existingUrl === '' && !hidden) {
+      console.time(`Row '${rowIdx + 2}' processing time `);
+      try {
+        const copy = copyFileWithPolicy_(context.template, row[nameHeader].toString(), context.folder, params.duplicatePolicy || 'skip');
+        let newFile = copy.file;
+
+        out.push([newFile.getUrl()]);
+        if (copy.note) {
+          rowNotes.push({ rowNumber: rowIdx + 2, message: copy.note });
+        }
+        if (copy.action === 'skipped') {
+          job.skipped++;
+          console.log(`Skipping Row ${rowIdx + 2} - ${copy.note}.`);
+          continue;
+        }
+        console.info(`Copy created for '${row[nameHeader]}' (Row ${rowIdx + 2})`);
+
+        if (params.fillTemplate) {
+          try {
+            fillFileFromRow_(newFile, row);
+          } catch (e) {
+            rowNotes.push({ rowNumber: rowIdx + 2, message: `Placeholders not filled: ${e.message}` });
+            console.error(`Failed to fill placeholders for '${row[nameHeader]}' (Row ${rowIdx + 2}). Error: ${e.message}`);
+          }
+        }
+        if (newFile.getMimeType() === MimeType.GOOGLE_FORMS) {
+          try {
+            const tabName = params.newTabName ? renderTemplate(params.newTabName, row) : row[nameHeader].toString();
+            formResults.push({ rowNumber: rowIdx + 2, form: formSetup_(newFile, params.responseTargetId, tabName) });
+          } catch (e) {
+            rowNotes.push({ rowNumber: rowIdx + 2, message: `Form not set up: ${e.message}` });
+            console.error(`Failed to set up form for '${row[nameHeader]}' (Row ${rowIdx + 2}). Error: ${e.message}`);
+          }
+        }
+        if (params.exportFormat) {
+          try {
+            const exported = exportFileToFolder_(newFile, params.exportFormat, context.exportFolder, row[nameHeader].toString());
+            exportResults.push({ rowNumber: rowIdx + 2, url: exported.getUrl() });
+            if (params.replaceCopy) {
+              newFile.setTrashed(true);
+              out[out.length - 1] = [exported.getUrl()];
+            }
+          } catch (e) {
+            rowNotes.push({ rowNumber: rowIdx + 2, message: `Not exported: ${e.message}` });
+            console.error(`Failed to export '${row[nameHeader]}' (Row ${rowIdx + 2}). Error: ${e.message}`);
+          }
+        }
+        job.processed++;
+      } catch (e) {
+        out.push([e.message || 'Unknown error occurred']);
+        job.failed++;
+        noteRunRow_(job, rowIdx + 2, e.message || 'Unknown error occurred');
+        console.error(`Failed to create copy for '${row[nameHeader]}' (Row ${rowIdx + 2}). Error: ${e.message}`);
+      } finally {
+        console.timeEnd(`Row '${rowIdx + 2}' processing time `);
+      }
+    } else {
+      const skipReason = hidden ? 'Row hidden by filter' : existingUrl !== '' ? 'Copy already created' : 'No filename';
+      console.log(`Skipping Row ${rowIdx + 2} - ${skipReason}.`);
+      out.push([existingUrl]);
+      job.skipped++;
+      noteRunRow_(job, rowIdx + 2, skipReason);
+    }
+  }
+
+  if (out.length > 0) {
+    sheet.getRange(start + 2, params.urlColIdx + 1, out.length).setValues(out);
+  }
+  const notesByRow = {};
+  rowNotes.forEach(note => {
+    notesByRow[note.rowNumber] = (notesByRow[note.rowNumber] || []).concat(note.message);
+    noteRunRow_(job, note.rowNumber, note.message);
+  });
+  Object.keys(notesByRow).forEach(rowNumber => {
+    sheet.getRange(Number(rowNumber), params.urlColIdx + 1).setNote(notesByRow[rowNumber].join('\n'));
+  });
+  formResults.forEach(result => {
+    Object.keys(FORM_SETUP_COLS).forEach(field => {
+      const colIdx = context.heads.indexOf(FORM_SETUP_COLS[field]);
+      if (colIdx !== -1) {
+        sheet.getRange(result.rowNumber, colIdx + 1).setValue(result.form[field]);
+      }
+    });
+  });
+  if (params.exportColIdx >= 0) {
+    exportResults.forEach(result => sheet.getRange(result.rowNumber, params.exportColIdx + 1).setValue(result.url));
+  }
+
+  job.cursor = end;
+  return job.cursor >= context.rows.length ? BATCH_OUTCOME.DONE : BATCH_OUTCOME.MORE;
+}
+
+/**
+ * Sets up a copied Google Form: links its responses to a spreadsheet and renames the new response tab.
+ *
+ * Linking a form to a spreadsheet makes Forms add a 'Form Responses N' tab. That tab is found by
+ * comparing the tabs before and after linking, then renamed. Tab names are cut to 100 characters
+ * and made unique with a ' (2)', ' (3)', ... suffix.
+ *
+ * @param {GoogleAppsScript.Drive.File} file The copied Form file.
+ * @param {string} [responseSpreadsheetId] The ID of the spreadsheet that collects responses. If blank, no destination is set.
+ * @param {string} [tabName] The name for the response tab.
+ * @return {{ publishedUrl: string, editUrl: string, responseTab: string }} The form's URLs and the response tab name ('' when not linked).
+ *
+ * @throws {Error} If the form or spreadsheet cannot be opened, or the new response tab cannot be found.
+ *
+ * @example
+ * const info = formSetup_(DriveApp.getFileById(formCopyId), '1ISo...Xed4', 'Workshop 3');
+ */
+function formSetup_(file, responseSpreadsheetId, tabName) {
+  const form = FormApp.openById(file.getId());
+  const info = { publishedUrl: form.getPublishedUrl(), editUrl: form.getEditUrl(), responseTab: '' };
+
+  if (!responseSpreadsheetId) {
+    return info;
+  }
+
+  const existingIds = SpreadsheetApp.openById(responseSpreadsheetId).getSheets().map(tab => tab.getSheetId());
+  form.setDestination(FormApp.DestinationType.SPREADSHEET, responseSpreadsheetId);
+  SpreadsheetApp.flush();
+
+  const spreadsheet = SpreadsheetApp.openById(responseSpreadsheetId);
+  const responseSheet = spreadsheet.getSheets().find(tab => !existingIds.includes(tab.getSheetId()) && tab.getFormUrl());
+  if (!responseSheet) {
+    throw new Error(`The response tab for '${file.getName()}' was not found in '${spreadsheet.getName()}'.`);
+  }
+
+  if (tabName) {
+    const names = spreadsheet.getSheets().map(tab => tab.getName());
+    const base = String(tabName).slice(0, 100);
+    let name = base;
+    for (let n = 2; names.includes(name); n++) {
+      name = `${base.slice(0, 100 - ` (${n})`.length)} (${n})`;
+    }
+    responseSheet.setName(name);
+  }
+
+  info.responseTab = responseSheet.getName();
+  console.info(`Form '${file.getName()}' responses go to '${spreadsheet.getName()}' tab '${info.responseTab}'`);
+  return info;
+}
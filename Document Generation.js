@@ -0,0 +1,98 @@
+/**
+ * @OnlyCurrentDoc
+ * Indicates that this automation will only attempt to read or modify the spreadsheet this script is bound to.
+ * The authorization request message presented to users reflects the limited scope.
+ */
+
+/**
+ * Replaces {{Header}} placeholders inside a copied Docs, Sheets or Slides file with values from a row.
+ *
+ * Only plain {{Header}} placeholders are replaced. Every header of the row is a key; blank cells
+ * replace their placeholder with an empty string. Placeholders that do not match a header are left
+ * in place so that typos stay visible in the generated document. The fallbacks, filters and
+ * {{#if}} blocks that mail merge drafts support (see renderTemplate) are not rendered in files:
+ * each is matched as literal text, so {{Name|there}} and {{#if Company}} stay as they are.
+ *
+ * @param {GoogleAppsScript.Drive.File} file The copy to fill.
+ * @param {Object} row The row object keyed by header name, as built by mapArraysToObjects.
+ * @return {void} This function does not return a value.
+ *
+ * @throws {Error} If the file is not a Google Docs, Sheets or Slides file, or cannot be opened for editing.
+ *
+ * @example
+ * fillFileFromRow_(DriveApp.getFileById(copyId), { 'Client': 'Acme', 'Start Date': '2026-01-05' });
+ */
+function fillFileFromRow_(file, row) {
+  const mimeType = file.getMimeType();
+  console.time(`fillFileFromRow_('${file.getName()}') time `);
+
+  switch (mimeType) {
+    case MimeType.GOOGLE_DOCS:
+      fillDocumentFromRow_(file.getId(), row);
+      break;
+    case MimeType.GOOGLE_SHEETS:
+      fillSpreadsheetFromRow_(file.getId(), row);
+      break;
+    case MimeType.GOOGLE_SLIDES:
+      fillPresentationFromRow_(file.getId(), row);
+      break;
+    default:
+      throw new Error(`Placeholders can only be filled in Docs, Sheets or Slides files, not '${mimeType}'`);
+  }
+
+  console.timeEnd(`fillFileFromRow_('${file.getName()}') time `);
+}
+
+/**
+ * Replaces placeholders in the body, headers and footers of a Google Doc.
+ *
+ * @param {string} documentId The ID of the Google Doc.
+ * @param {Object} row The row object keyed by header name.
+ * @return {void} This function does not return a value.
+ */
+function fillDocumentFromRow_(documentId, row) {
+  const doc = DocumentApp.openById(documentId);
+  const sections = [doc.getBody(), doc.getHeader(), doc.getFooter()].filter(section => section);
+
+  Object.keys(row).forEach(key => {
+    // replaceText takes a regular expression, so the placeholder is escaped.
+    const pattern = escapeRegExp_(`{{${key}}}`);
+    sections.forEach(section => section.replaceText(pattern, String(row[key])));
+  });
+
+  doc.saveAndClose();
+}
+
+/**
+ * Replaces placeholders in the cell values of every tab of a Google Sheet.
+ *
+ * @param {string} spreadsheetId The ID of the Google Sheet.
+ * @param {Object} row The row object keyed by header name.
+ * @return {void} This function does not return a value.
+ */
+function fillSpreadsheetFromRow_(spreadsheetId, row) {
+  const spreadsheet = SpreadsheetApp.openById(spreadsheetId);
+
+  Object.keys(row).forEach(key => {
+    spreadsheet.createTextFinder(`{{${key}}}`).matchCase(true).replaceAllWith(String(row[key]));
+  });
+
+  SpreadsheetApp.flush();
+}
+
+/**
+ * Replaces placeholders in the text boxes, shapes and tables of every slide of a Google Slides file.
+ *
+ * @param {string} presentationId The ID of the Google Slides file.
+ * @param {Object} row The row object keyed by header name.
+ * @return {void} This function does not return a value.
+ */
+function fillPresentationFromRow_(presentationId, row) {
+  const presentation = SlidesApp.openById(presentationId);
+
+  Object.keys(row).forEach(key => {
+    presentation.replaceAllText(`{{${key}}}`, String(row[key]), true);
+  });
+
+  presentation.saveAndClose();
+}
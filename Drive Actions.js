@@ -0,0 +1,242 @@
+/**
+ * @OnlyCurrentDoc
+ * Indicates that this automation will only attempt to read or modify the spreadsheet this script is bound to.
+ * The authorization request message presented to users reflects the limited scope.
+ */
+
+const DRIVE_ACTION_COLS = Object.freeze({
+  url: 'URL',
+  newName: 'New Name',
+  moveTo: 'Move To Folder',
+  action: 'Action',
+  status: 'Status'
+});
+const DRIVE_ACTIONS = ['rename', 'move', 'trash', 'restore', 'shortcut'];
+
+/**
+ * Shows what applyDriveActions would change, without changing anything.
+ *
+ * Each row's Status cell is set to 'Preview: ...' with the planned changes, or to the problem
+ * that would stop the row.
+ *
+ * @param {string} [thisTab] The name of the tab in the active spreadsheet. Defaults to the active tab.
+ * @return {void} This function does not return a value.
+ *
+ * @example
+ * previewDriveActions('Reorganize');
+ */
+function previewDriveActions(thisTab) {
+  startDriveActions_(thisTab, true);
+}
+
+/**
+ * Renames, moves, trashes, restores or creates shortcuts to the Drive items listed in a tab.
+ *
+ * The tab needs 'URL', 'Action' and 'Status' columns, and 'New Name' and 'Move To Folder'
+ * columns for the actions that use them. Action is one or more of rename, move, trash, restore
+ * and shortcut, separated by commas; when blank, it is rename and/or move depending on which
+ * of New Name and Move To Folder are filled in. A shortcut is created in Move To Folder and
+ * named New Name, if given. Rows whose Status starts with 'Done' are skipped, so the tab can be
+ * re-run after fixing errors. The changes made, or the error, are written to the Status cell.
+ *
+ * @param {string} [thisTab] The name of the tab in the active spreadsheet. Defaults to the active tab.
+ * @return {void} This function does not return a value.
+ *
+ * @example
+ * applyDriveActions('Reorganize');
+ */
+function applyDriveActions(thisTab) {
+  startDriveActions_(thisTab, false);
+}
+
+/**
+ * Checks the tab and starts a driveActions batch job.
+ *
+ * @param {string} [thisTab] The name of the tab in the active spreadsheet. Defaults to the active tab.
+ * @param {boolean} preview Whether to only describe the changes.
+ * @return {void} This function does not return a value.
+ */
+function startDriveActions_(thisTab, preview) {
+  const label = preview ? 'Drive actions preview' : 'Drive actions';
+  console.log(`Start ${label}('${thisTab}')`);
+  console.time(`${label} time `);
+
+  const activeSpreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = thisTab ? activeSpreadsheet.getSheetByName(thisTab) : SpreadsheetApp.getActiveSheet();
+  if (!sheet) {
+    activeSpreadsheet.toast(`${label} failed: tab '${thisTab}' was not found.`);
+    console.error(`Abort script due to missing tab: '${thisTab}'`);
+    return;
+  }
+
+  const heads = sheet.getRange(1, 1, 1, Math.max(sheet.getLastColumn(), 1)).getDisplayValues()[0];
+  const required = [DRIVE_ACTION_COLS.url, DRIVE_ACTION_COLS.action, DRIVE_ACTION_COLS.status];
+  const missing = required.filter(header => !heads.includes(header));
+  if (missing.length > 0) {
+    activeSpreadsheet.toast(`${label} failed due to missing column header(s): '${missing.join("', '")}'`);
+    console.error(`Abort script due to missing column header(s): '${missing.join("', '")}'`);
+    return;
+  }
+
+  if (!preview && !getUserConfirmation(`Apply the actions listed in '${sheet.getName()}'? Run the preview first to check them.`)) {
+    console.warn(`applyDriveActions() was canceled by the user.`);
+    return;
+  }
+
+  const result = startBatchJob_('driveActions', {
+    sheetId: activeSpreadsheet.getId(),
+    tabName: sheet.getName(),
+    preview: preview
+  });
+  activeSpreadsheet.toast(describeBatchOutcome_(label, result));
+
+  console.timeEnd(`${label} time `);
+}
+
+/**
+ * Applies or previews the next chunk of rows for a driveActions batch job and writes each row's status.
+ *
+ * @param {Object} job The batch job state; job.cursor is the 0-based data row to start from.
+ * @param {Object} context Resources cached across chunks of the same execution.
+ * @return {string} One of the BATCH_OUTCOME values.
+ */
+function processDriveActionsChunk_(job, context) {
+  if (!context.sheet) {
+    context.sheet = SpreadsheetApp.openById(job.params.sheetId).getSheetByName(job.params.tabName);
+    if (!context.sheet) {
+      throw new Error(`Sheet named '${job.params.tabName}' was not found in '${job.params.sheetId}'.`);
+    }
+    const data = context.sheet.getDataRange().getDisplayValues();
+    const heads = data.shift();
+    context.rows = mapArraysToObjects(heads, data);
+    context.statusColIdx = heads.indexOf(DRIVE_ACTION_COLS.status);
+    context.folders = {};
+  }
+
+  const start = job.cursor;
+  const end = Math.min(start + BATCH_CHUNK_SIZE, context.rows.length);
+  const statuses = [];
+
+  for (let rowIdx = start; rowIdx < end; rowIdx++) {
+    const row = context.rows[rowIdx];
+    const status = row[DRIVE_ACTION_COLS.status];
+    if (row[DRIVE_ACTION_COLS.url] === '' || /^Done\b/.test(status)) {
+      statuses.push([status]);
+      job.skipped++;
+      noteRunRow_(job, rowIdx + 2, row[DRIVE_ACTION_COLS.url] === '' ? 'No URL' : 'Already done');
+      continue;
+    }
+    try {
+      const changes = applyRowDriveActions_(row, job.params.preview, context.folders);
+      statuses.push([`${job.params.preview ? 'Preview' : 'Done'}: ${changes.join('; ')}`]);
+      job.processed++;
+      console.info(`Drive actions for Row ${rowIdx + 2}: ${changes.join('; ')}`);
+    } catch (e) {
+      statuses.push([`Error: ${e.message}`]);
+      job.failed++;
+      noteRunRow_(job, rowIdx + 2, e.message);
+      console.error(`Failed to apply Drive actions for Row ${rowIdx + 2}. Error: ${e.message}`);
+    }
+  }
+
+  if (statuses.length > 0) {
+    context.sheet.getRange(start + 2, context.statusColIdx + 1, statuses.length).setValues(statuses);
+  }
+  job.cursor = end;
+  return job.cursor >= context.rows.length ? BATCH_OUTCOME.DONE : BATCH_OUTCOME.MORE;
+}
+
+/**
+ * Applies, or describes in preview mode, the actions of one row.
+ *
+ * Every action is checked before any is applied, so a row with an invalid action changes nothing.
+ *
+ * @param {Object} row The row object keyed by header name.
+ * @param {boolean} preview Whether to only describe the changes.
+ * @param {Object<string, GoogleAppsScript.Drive.Folder>} folders Destination folders already opened, keyed by link.
+ * @return {Array<string>} A description of each change.
+ * @throws {Error} If an action is unknown, a needed cell is blank, or Drive rejects a change.
+ */
+function applyRowDriveActions_(row, preview, folders) {
+  const newName = String(row[DRIVE_ACTION_COLS.newName] || '').trim();
+  const moveTo = String(row[DRIVE_ACTION_COLS.moveTo] || '').trim();
+  let actions = String(row[DRIVE_ACTION_COLS.action] || '').toLowerCase().split(/[\s,;+]+/).filter(action => action !== '');
+  if (actions.length === 0) {
+    actions = [newName ? 'rename' : '', moveTo ? 'move' : ''].filter(action => action !== '');
+  }
+  if (actions.length === 0) {
+    throw new Error('No action given, and New Name and Move To Folder are blank.');
+  }
+
+  const unknown = actions.filter(action => !DRIVE_ACTIONS.includes(action));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown action(s) '${unknown.join("', '")}'. Use ${DRIVE_ACTIONS.join(', ')}.`);
+  }
+  if (actions.includes('rename') && !newName) {
+    throw new Error('Rename needs a New Name.');
+  }
+  if ((actions.includes('move') || actions.includes('shortcut')) && !moveTo) {
+    throw new Error(`${actions.includes('move') ? 'Move' : 'Shortcut'} needs a Move To Folder.`);
+  }
+
+  const item = openDriveItem_(row[DRIVE_ACTION_COLS.url]);
+  const folder = moveTo ? (folders[moveTo] || (folders[moveTo] = openDriveFolder_(moveTo))) : null;
+  const changes = [];
+
+  actions.forEach(action => {
+    switch (action) {
+      case 'rename':
+        changes.push(`rename '${item.getName()}' to '${newName}'`);
+        if (!preview) {
+          item.setName(newName);
+        }
+        break;
+      case 'move':
+        changes.push(`move to '${folder.getName()}'`);
+        if (!preview) {
+          item.moveTo(folder);
+        }
+        break;
+      case 'trash':
+        changes.push('move to trash');
+        if (!preview) {
+          item.setTrashed(true);
+        }
+        break;
+      case 'restore':
+        changes.push('restore from trash');
+        if (!preview) {
+          item.setTrashed(false);
+        }
+        break;
+      case 'shortcut':
+        if (preview) {
+          changes.push(`create shortcut${newName ? ` '${newName}'` : ''} in '${folder.getName()}'`);
+        } else {
+          const shortcut = folder.createShortcut(item.getId());
+          if (newName) {
+            shortcut.setName(newName);
+          }
+          changes.push(`created shortcut ${shortcut.getUrl()} in '${folder.getName()}'`);
+        }
+        break;
+    }
+  });
+  return changes;
+}
+
+/**
+ * Opens the file or folder at a Drive link or ID.
+ *
+ * @param {string} url The link or ID.
+ * @return {GoogleAppsScript.Drive.File|GoogleAppsScript.Drive.Folder} The item.
+ * @throws {Error} If the link is invalid or the item cannot be opened.
+ */
+function openDriveItem_(url) {
+  if (parseDriveUrl(url).type === 'folder') {
+    return openDriveFolder_(url);
+  }
+  const file = openDriveFile_(url);
+  // Bare IDs and ?id= links do not say whether they are folders.
+  return file.getMimeType() === MimeType.FOLDER ? openDriveFolder_(url) : file;
+}
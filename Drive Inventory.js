@@ -0,0 +1,115 @@
+/**
+ * @OnlyCurrentDoc
+ * Indicates that this automation will only attempt to read or modify the spreadsheet this script is bound to.
+ * The authorization request message presented to users reflects the limited scope.
+ */
+
+const DRIVE_INVENTORY_TAB = 'Drive Inventory';
+const DRIVE_INVENTORY_HEADERS = ['Path', 'Name', 'ID', 'URL', 'MIME Type', 'Size (bytes)', 'Owner', 'Created', 'Modified', 'Sharing Access'];
+
+/**
+ * Writes a recursive inventory of a Google Drive folder to the 'Drive Inventory' tab.
+ *
+ * Walks every subfolder of the given folder and writes one row per file and folder with its
+ * path, name, ID, URL, MIME type, size, owner, created and modified dates, and link sharing
+ * access. The tab is cleared first. Large trees are written in chunks as a batch job that
+ * resumes on a trigger when the execution time limit is reached.
+ *
+ * @param {string} [folderUrl] The URL or ID of the folder to inventory. Prompts if not provided.
+ * @return {void} This function does not return a value.
+ *
+ * @example
+ * exportDriveInventory("https://drive.google.com/drive/folders/1Cf1NbSxGq8po5fMpcwsCOq4Wcj6AwBXt");
+ */
+function exportDriveInventory(folderUrl) {
+  console.log(`Start exportDriveInventory('${folderUrl}')`);
+  console.time(`exportDriveInventory() time `);
+
+  const activeSpreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+
+  if (!folderUrl) {
+    folderUrl = getUserInput('Enter the folder link to inventory');
+    if (!folderUrl) {
+      console.error(`User input for folderUrl was invalid or canceled.`);
+      return;
+    }
+  }
+
+  const folder = openDriveFolder_(folderUrl);
+  const sheet = prepareReportTab_(activeSpreadsheet, DRIVE_INVENTORY_TAB, DRIVE_INVENTORY_HEADERS);
+
+  const result = startBatchJob_('driveInventory', {
+    folderId: folder.getId(),
+    folderResourceKey: folder.getResourceKey() || '',
+    sheetId: activeSpreadsheet.getId(),
+    tabName: sheet.getName()
+  });
+  activeSpreadsheet.toast(describeBatchOutcome_('Drive inventory', result));
+
+  console.timeEnd(`exportDriveInventory() time `);
+}
+
+/**
+ * Walks the next part of the folder tree for a driveInventory batch job and appends its rows.
+ *
+ * @param {Object} job The batch job state; job.state holds the walk position and job.cursor the number of rows written.
+ * @param {Object} context Resources cached across chunks of the same execution.
+ * @return {string} One of the BATCH_OUTCOME values.
+ */
+function processInventoryChunk_(job, context) {
+  if (!context.sheet) {
+    context.sheet = SpreadsheetApp.openById(job.params.sheetId).getSheetByName(job.params.tabName);
+    if (!context.sheet) {
+      throw new Error(`Sheet named '${job.params.tabName}' was not found in '${job.params.sheetId}'.`);
+    }
+  }
+  if (!job.state) {
+    job.state = newDriveTreeState_(getDriveFolderById_(job.params.folderId, job.params.folderResourceKey));
+  }
+
+  const rows = [];
+  const done = walkDriveTree_(job.state, BATCH_CHUNK_SIZE, {
+    file: (file, parent) => rows.push(inventoryRow_(file, parent.path, false)),
+    folder: (folder, parent) => rows.push(inventoryRow_(folder, parent.path, true))
+  });
+
+  if (rows.length > 0) {
+    context.sheet.getRange(job.cursor + 2, 1, rows.length, DRIVE_INVENTORY_HEADERS.length).setValues(rows);
+  }
+  job.cursor += rows.length;
+  job.processed += rows.length;
+
+  return done ? BATCH_OUTCOME.DONE : BATCH_OUTCOME.MORE;
+}
+
+/**
+ * Builds the inventory row for a file or folder, in DRIVE_INVENTORY_HEADERS order.
+ *
+ * @param {GoogleAppsScript.Drive.File|GoogleAppsScript.Drive.Folder} item The file or folder.
+ * @param {string} parentPath The path of the folder containing the item.
+ * @param {boolean} isFolder Whether the item is a folder.
+ * @return {Array<*>} The row values.
+ */
+function inventoryRow_(item, parentPath, isFolder) {
+  // Items in shared drives have no owner.
+  const owner = item.getOwner();
+  let sharing;
+  try {
+    sharing = `${item.getSharingAccess()} / ${item.getSharingPermission()}`;
+  } catch (e) {
+    sharing = `Unavailable: ${e.message}`;
+  }
+
+  return [
+    `${parentPath}/${item.getName()}`,
+    item.getName(),
+    item.getId(),
+    item.getUrl(),
+    isFolder ? MimeType.FOLDER : item.getMimeType(),
+    isFolder ? '' : item.getSize(),
+    owner ? owner.getEmail() : '',
+    item.getDateCreated(),
+    item.getLastUpdated(),
+    sharing
+  ];
+}
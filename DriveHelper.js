@@ -4,113 +4,569 @@
  * The authorization request message presented to users reflects the limited scope.
  */
   
+  // Export formats accepted by exportDriveFile_.
+  const EXPORT_MIME_TYPES = Object.freeze({
+    pdf: 'application/pdf',
+    docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    pptx: 'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+  });
+  
+  // The Office format each Google Docs, Sheets and Slides file exports to by default.
+  const NATIVE_EXPORT_FORMATS = Object.freeze({
+    'application/vnd.google-apps.document': 'docx',
+    'application/vnd.google-apps.spreadsheet': 'xlsx',
+    'application/vnd.google-apps.presentation': 'pptx'
+  });
+  
+  // The resource type of each /<segment>/d/<id> path of Docs editors and Drive file links.
+  const DRIVE_URL_TYPES = Object.freeze({
+    document: 'document',
+    spreadsheets: 'spreadsheet',
+    presentation: 'presentation',
+    forms: 'form',
+    drawings: 'drawing',
+    file: 'file'
+  });
+  
+  // What copyFileWithPolicy_ does when the destination already has a file of the same name.
+  const DUPLICATE_POLICIES = ['skip', 'overwrite', 'suffix'];
+  
+  // Drive IDs are at least 19 characters (shared drive IDs); file and folder IDs are longer.
+  const DRIVE_ID_PATTERN = /^[-\w]{19,}$/;
+  
   /**
-   * Extracts the folder ID from a Google Drive folder URL.
+   * Parses a Google Drive, Docs, Sheets, Slides or Forms link, or a bare ID.
    * 
-   * This function takes a Google Drive folder URL as input and uses a regular 
-   * expression to extract the folder ID. If no valid ID is found, returns "undefined".
+   * Recognizes /d/<id> editor and file links (including /u/0/ and /a/<domain>/ variants),
+   * /folders/<id> links for My Drive and shared drives, and ?id= and ?key= links. The resource
+   * key of a link shared with ?resourcekey= and the tab ID of a #gid= or ?gid= link are returned
+   * alongside the ID, so they never get mistaken for it.
    * 
-   * @param {string} url - The Google Drive folder URL.
-   * @return {string|undefined} The folder ID, or undefined if not found.
+   * @param {string} url - The link or ID.
+   * @return {{ id: string, type: string, gid: string, resourceKey: string }} The ID; the type
+   * ('document', 'spreadsheet', 'presentation', 'form', 'drawing', 'file', 'folder', or 'unknown'
+   * for bare IDs and ?id= links); the tab ID; and the resource key. gid and resourceKey are '' when absent.
    * 
-   * @throws {Error} If the input URL is not a valid string.
+   * @throws {Error} If the value is blank, is not a Google Drive link (including one with a malformed
+   * % escape), has no ID, or is a published form link (/forms/d/e/...), whose ID is not the form's file ID.
+   * 
+   * @example
+   * parseDriveUrl("https://docs.google.com/spreadsheets/d/1B2c3D4e5F6g7H8i9J0kLmNoPqRsTuVwXyZ/edit#gid=123");
+   * // { id: '1B2c3D4e5F6g7H8i9J0kLmNoPqRsTuVwXyZ', type: 'spreadsheet', gid: '123', resourceKey: '' }
+   */
+  function parseDriveUrl(url) {
+    const text = url === undefined || url === null ? '' : String(url).trim();
+    if (text === '') {
+      throw new Error('No Google Drive link or ID was given.');
+    }
+    if (DRIVE_ID_PATTERN.test(text)) {
+      return { id: text, type: 'unknown', gid: '', resourceKey: '' };
+    }
+  
+    const match = text.match(/^(?:https?:\/\/)?(?:docs|drive)\.google\.com(\/[^?#]*)?(\?[^#]*)?(#.*)?$/i);
+    if (!match) {
+      throw new Error(`Not a Google Drive link or ID: '${text}'`);
+    }
+    const path = match[1] || '';
+    let query;
+    let fragment;
+    try {
+      query = parseUrlParams_(match[2]);
+      fragment = parseUrlParams_(match[3]);
+    } catch (e) {
+      // decodeURIComponent throws a bare 'URI malformed' on a stray '%'.
+      throw new Error(`Not a Google Drive link or ID: '${text}'`);
+    }
+  
+    if (/\/forms\/(?:u\/\d+\/)?d\/e\//.test(path)) {
+      throw new Error(`'${text}' is a published form link. Use the form's edit link (.../forms/d/<id>/edit) instead.`);
+    }
+  
+    let id = '';
+    let type = 'unknown';
+    const fileMatch = path.match(/\/(document|spreadsheets|presentation|forms|drawings|file)\/(?:u\/\d+\/)?d\/([-\w]+)/);
+    const folderMatch = path.match(/\/folders\/([-\w]+)/);
+    if (fileMatch) {
+      type = DRIVE_URL_TYPES[fileMatch[1]];
+      id = fileMatch[2];
+    } else if (folderMatch) {
+      type = 'folder';
+      id = folderMatch[1];
+    } else if (query.id) {
+      type = /\/folderview/.test(path) ? 'folder' : 'unknown';
+      id = query.id;
+    } else if (query.key) {
+      // Legacy spreadsheet links: /ccc?key=<id>
+      type = 'spreadsheet';
+      id = query.key;
+    }
+  
+    if (!DRIVE_ID_PATTERN.test(id)) {
+      throw new Error(`No file or folder ID found in '${text}'`);
+    }
+    return { id: id, type: type, gid: fragment.gid || query.gid || '', resourceKey: query.resourcekey || '' };
+  }
+  
+  /**
+   * Extracts the file or folder ID from a Google Drive link, or returns a bare ID as is.
+   * 
+   * @param {string} url - The Google Drive link or ID.
+   * @return {string} The file or folder ID.
+   * 
+   * @throws {Error} If no ID can be found (see parseDriveUrl).
    * 
    * @example
    * const folderId = getIdFromUrl("https://drive.google.com/drive/folders/1Cf1NbSxGq8po5fMpcwsCOq4Wcj6AwBXt");
    * Logger.log(`Extracted folder ID: ${folderId}`);
    */
   function getIdFromUrl(url) {
-    return url.match(/[-\w]{25,}(?!.*[-\w]{25,})/).toString();
+    return parseDriveUrl(url).id;
+  }
+  
+  /**
+   * Opens the file at a Drive link or ID, using the link's resource key when it has one.
+   * 
+   * @param {string} url - The link or ID of a file.
+   * @return {GoogleAppsScript.Drive.File} The file.
+   * 
+   * @throws {Error} If the link is invalid, is a folder link, or the file cannot be opened.
+   * 
+   * @example
+   * const template = openDriveFile_("https://docs.google.com/document/d/1AbC.../edit?resourcekey=0-xYz");
+   */
+  function openDriveFile_(url) {
+    const parsed = parseDriveUrl(url);
+    if (parsed.type === 'folder') {
+      throw new Error(`Expected a file link but got a folder link: '${url}'`);
+    }
+    return getDriveFileById_(parsed.id, parsed.resourceKey);
   }
   
   /**
-   * Removes the query string from a Google Drive URL.
+   * Opens the folder at a Drive link or ID, using the link's resource key when it has one.
    * 
-   * This function removes any parameters following the '?' character in the URL.
+   * @param {string} url - The link or ID of a folder or shared drive.
+   * @return {GoogleAppsScript.Drive.Folder} The folder.
+   * 
+   * @throws {Error} If the link is invalid, is a file link, or the folder cannot be opened.
+   * 
+   * @example
+   * const folder = openDriveFolder_("https://drive.google.com/drive/u/0/folders/1Cf1NbSxGq8po5fMpcwsCOq4Wcj6AwBXt");
+   */
+  function openDriveFolder_(url) {
+    const parsed = parseDriveUrl(url);
+    if (parsed.type !== 'folder' && parsed.type !== 'unknown') {
+      throw new Error(`Expected a folder link but got a ${parsed.type} link: '${url}'`);
+    }
+    return getDriveFolderById_(parsed.id, parsed.resourceKey);
+  }
+  
+  /**
+   * Opens a file by ID, using its resource key when it has one.
+   * 
+   * Files shared by a link with a ?resourcekey= cannot be opened by ID alone, so batch jobs save
+   * getResourceKey() next to each ID they reopen in a later execution.
+   * 
+   * @param {string} id - The file ID.
+   * @param {string} [resourceKey] - The file's resource key; blank when it has none.
+   * @return {GoogleAppsScript.Drive.File} The file.
+   */
+  function getDriveFileById_(id, resourceKey) {
+    return resourceKey ? DriveApp.getFileByIdAndResourceKey(id, resourceKey) : DriveApp.getFileById(id);
+  }
+  
+  /**
+   * Opens a folder by ID, using its resource key when it has one. See getDriveFileById_.
+   * 
+   * @param {string} id - The folder ID.
+   * @param {string} [resourceKey] - The folder's resource key; blank when it has none.
+   * @return {GoogleAppsScript.Drive.Folder} The folder.
+   */
+  function getDriveFolderById_(id, resourceKey) {
+    return resourceKey ? DriveApp.getFolderByIdAndResourceKey(id, resourceKey) : DriveApp.getFolderById(id);
+  }
+  
+  /**
+   * Opens the spreadsheet at a Sheets link or ID.
+   * 
+   * Unlike SpreadsheetApp.openByUrl, this accepts bare IDs and /u/0/ links and ignores #gid= fragments.
+   * 
+   * @param {string} url - The link or ID of a spreadsheet.
+   * @return {GoogleAppsScript.Spreadsheet.Spreadsheet} The spreadsheet.
+   * 
+   * @throws {Error} If the link is invalid or is not a spreadsheet or Drive file link.
+   * 
+   * @example
+   * const spreadsheet = openSpreadsheet_("https://docs.google.com/spreadsheets/u/0/d/1B2c.../edit#gid=123");
+   */
+  function openSpreadsheet_(url) {
+    const parsed = parseDriveUrl(url);
+    if (!['spreadsheet', 'file', 'unknown'].includes(parsed.type)) {
+      throw new Error(`Expected a spreadsheet link but got a ${parsed.type} link: '${url}'`);
+    }
+    return SpreadsheetApp.openById(parsed.id);
+  }
+  
+  /**
+   * Parses the parameters of a URL query string or fragment.
+   * 
+   * @param {string} [part] - The query string or fragment, with or without its leading '?' or '#'.
+   * @return {Object<string, string>} The parameters keyed by lowercase name.
+   * 
+   * @throws {URIError} If a name or value has a malformed % escape.
+   */
+  function parseUrlParams_(part) {
+    const params = {};
+    String(part || '').replace(/^[?#]/, '').split('&').forEach(pair => {
+      const index = pair.indexOf('=');
+      if (index > 0) {
+        params[decodeURIComponent(pair.slice(0, index)).toLowerCase()] = decodeURIComponent(pair.slice(index + 1));
+      }
+    });
+    return params;
+  }
+  
+  /**
+   * Removes the query string and fragment from a Google Drive URL.
+   * 
+   * This function removes any parameters following the '?' character, and any '#' fragment
+   * such as '#gid=0', from the URL.
    * 
    * @param {string} url - The Google Drive folder URL.
-   * @return {string} The URL without the query string.
+   * @return {string} The URL without the query string or fragment.
    * 
    * @example
    * const cleanUrl = removeQueryFromUrl("https://drive.google.com/drive/folders/1Cf1NbSxGq8po5fMpcwsCOq4Wcj6AwBXt?query=someParam");
    * Logger.log(`Clean URL: ${cleanUrl}`);
    */
   function removeQueryFromUrl(url) {
-    const myRegex = /\?.*$/;
+    const myRegex = /[?#].*$/;
     if (myRegex.test(String(url))) {
       return String(url).replace(myRegex, '');
     }
     return url;
   }
   
+  /**
+   * Exports a Google Docs, Sheets or Slides file to another format and returns it as a blob.
+   * 
+   * Uses the Drive API export endpoint, which supports Office formats as well as PDF. The
+   * blob is named after the file with the format's extension. Exports are limited to 10 MB.
+   * 
+   * @param {GoogleAppsScript.Drive.File} file The Google Docs, Sheets or Slides file to export.
+   * @param {string} format One of the keys of EXPORT_MIME_TYPES: 'pdf', 'docx', 'xlsx' or 'pptx'.
+   * @return {GoogleAppsScript.Base.Blob} The exported file contents.
+   * 
+   * @throws {Error} If the format is unknown or the Drive API rejects the export.
+   * 
+   * @example
+   * const pdf = exportDriveFile_(DriveApp.getFileById(getIdFromUrl(docUrl)), 'pdf');
+   */
+  function exportDriveFile_(file, format) {
+    const exportMimeType = EXPORT_MIME_TYPES[format];
+    if (!exportMimeType) {
+      throw new Error(`Unknown export format: '${format}'`);
+    }
+    const url = `https://www.googleapis.com/drive/v3/files/${file.getId()}/export?mimeType=${encodeURIComponent(exportMimeType)}`;
+    const response = UrlFetchApp.fetch(url, {
+      headers: { Authorization: `Bearer ${ScriptApp.getOAuthToken()}` },
+      muteHttpExceptions: true
+    });
+    if (response.getResponseCode() !== 200) {
+      throw new Error(`Unable to export '${file.getName()}' as ${format}: HTTP ${response.getResponseCode()}`);
+    }
+    return response.getBlob().setName(`${file.getName()}.${format}`);
+  }
+  
   /**
    * Creates copies of a template file with specified names in a destination folder.
    * 
-   * Prompts the user for a template file URL, filenames, and a destination folder URL.
-   * Creates copies for each filename and saves the URLs back to the specified column in the spreadsheet.
+   * Prompts the user for a template file URL, filenames, and a destination folder URL,
+   * for each of them that is not passed as a parameter.
+   * Creates copies for each filename and saves the URLs back to the specified column in the spreadsheet,
+   * on the same row as the filename; blank cells are skipped. When the destination already has a file
+   * of the same name, the duplicate policy decides what happens, and a note on the URL cell records it.
    * 
-   * @return {void} This function does not return a value.
+   * @param {string} [templateFileUrl] The URL or ID of the file to copy.
+   * @param {string} [filenamesSheetUrl] The URL of the spreadsheet with the filenames.
+   * @param {string} [filenamesTabName] The name of the tab with the filenames.
+   * @param {string} [filenamesRange] The A1 notation range of the filenames.
+   * @param {string} [destinationFolderUrl] The URL or ID of the folder that receives the copies.
+   * @param {string|number} [urlWriteColumn] The column number (1-based) that receives the copy URLs.
+   * @param {string} [duplicatePolicy] 'skip', 'overwrite' or 'suffix' (see copyFileWithPolicy_). Prompts if not provided; blank means skip.
+   * @return {number} The number of files created.
    * 
-   * @throws {Error} If any of the inputs are invalid or if there is an issue accessing or creating files.
+   * @throws {Error} If any of the inputs are invalid. A row that cannot be copied is noted in the run log instead.
    * 
    * @example
    * copyFiles();
    */
-  function copyFiles() {
-    var templateFileUrl = getUserInput('Enter the template file URL');
-    var templateFile = DriveApp.getFileById(getIdFromUrl(templateFileUrl));
-    var filenamesSheetUrl = getUserInput('Enter the filenames sheet URL');
-    var filenamesTabName = getUserInput('Enter the filenames tab name');
-    var filenamesRange = getUserInput('Enter filename list range');
-    var destinationFolderUrl = getUserInput('Enter destination folder URL');
-    var urlWriteColumn = getUserInput('Enter column number to write URLs');
+  function copyFiles(templateFileUrl, filenamesSheetUrl, filenamesTabName, filenamesRange, destinationFolderUrl, urlWriteColumn, duplicatePolicy) {
+    templateFileUrl = templateFileUrl || getUserInput('Enter the template file URL');
+    var templateFile = openDriveFile_(templateFileUrl);
+    filenamesSheetUrl = filenamesSheetUrl || getUserInput('Enter the filenames sheet URL');
+    filenamesTabName = filenamesTabName || getUserInput('Enter the filenames tab name');
+    filenamesRange = filenamesRange || getUserInput('Enter filename list range');
+    destinationFolderUrl = destinationFolderUrl || getUserInput('Enter destination folder URL');
+    urlWriteColumn = urlWriteColumn || getUserInput('Enter column number to write URLs');
+    if (duplicatePolicy === undefined) {
+      duplicatePolicy = getUserInput('If a file with the same name already exists, type skip, overwrite or suffix (blank to skip)');
+    }
+    duplicatePolicy = normalizeDuplicatePolicy_(duplicatePolicy);
     
-    var sheet = SpreadsheetApp.openByUrl(filenamesSheetUrl).getSheetByName(filenamesTabName);
+    var sheet = openSpreadsheet_(filenamesSheetUrl).getSheetByName(filenamesTabName);
     var range = sheet.getRange(filenamesRange);
-    var filenames = range.getDisplayValues();
-    var destinationFolder = DriveApp.getFolderById(getIdFromUrl(destinationFolderUrl));
+    var destinationFolder = openDriveFolder_(destinationFolderUrl);
   
-    var filteredFilenames = filenames.filter((filename) => filename[0] !== "");
+    var run = newRunLog_('copyFiles', { templateFileUrl, filenamesSheetUrl, filenamesTabName, filenamesRange, destinationFolderUrl, urlWriteColumn, duplicatePolicy });
+    copyFilesToRange_(templateFile, sheet, range, destinationFolder, urlWriteColumn, duplicatePolicy, run);
+    return run.processed;
+  }
   
-    for (let i = 0; i < filteredFilenames.length; i++) {
-      let newFile = templateFile.makeCopy(filteredFilenames[i].toString(), destinationFolder);
-      let fileUrl = newFile.getUrl();
-      sheet.getRange(2 + i, parseInt(urlWriteColumn)).setValue(fileUrl);
+  /**
+   * Copies a template once per filename in a range and writes each copy's URL to the same row.
+   * 
+   * Shared by copyFiles and the web app endpoint; makes no UI calls. A row that cannot be copied
+   * is recorded with its error in the run record and the result, and the other rows go on.
+   * 
+   * @param {GoogleAppsScript.Drive.File} templateFile The file to copy.
+   * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The tab with the filenames.
+   * @param {GoogleAppsScript.Spreadsheet.Range} range The single-column range of filenames.
+   * @param {GoogleAppsScript.Drive.Folder} destinationFolder The folder that receives the copies.
+   * @param {string|number} urlWriteColumn The column number (1-based) that receives the copy URLs.
+   * @param {string} duplicatePolicy One of DUPLICATE_POLICIES.
+   * @param {Object} run The run record from newRunLog_.
+   * @return {Array<{ row: number, name: string, action: string, url: string, note: string, error: (string|undefined) }>}
+   * One entry per row, with the copyFileWithPolicy_ action, 'blank' for rows without a filename, or 'error' with the error.
+   */
+  function copyFilesToRange_(templateFile, sheet, range, destinationFolder, urlWriteColumn, duplicatePolicy, run) {
+    const filenames = range.getDisplayValues();
+    const rows = [];
+    for (let i = 0; i < filenames.length; i++) {
+      // Results go to the row of their filename, so blank cells do not shift the URLs.
+      let rowNumber = range.getRow() + i;
+      let filename = filenames[i][0].trim();
+      if (filename === "") {
+        run.skipped++;
+        rows.push({ row: rowNumber, name: '', action: 'blank', url: '', note: '' });
+        continue;
+      }
+      try {
+        let result = copyFileWithPolicy_(templateFile, filename, destinationFolder, duplicatePolicy);
+        let urlCell = sheet.getRange(rowNumber, parseInt(urlWriteColumn));
+        urlCell.setValue(result.file.getUrl());
+        if (result.note) {
+          urlCell.setNote(result.note);
+          noteRunRow_(run, rowNumber, result.note);
+        }
+        if (result.action === 'skipped') {
+          run.skipped++;
+        } else {
+          run.processed++;
+        }
+        rows.push({ row: rowNumber, name: filename, action: result.action, url: result.file.getUrl(), note: result.note });
+      } catch (e) {
+        run.failed++;
+        noteRunRow_(run, rowNumber, e.message);
+        rows.push({ row: rowNumber, name: filename, action: 'error', url: '', note: '', error: e.message });
+        console.error(`Failed to copy '${filename}' (Row ${rowNumber}). Error: ${e.message}`);
+      }
     }
+    finishRunLog_(run, 'Done');
+    return rows;
   }
   
   /**
-   * Creates new folders with specified names in a destination folder.
+   * Creates new folders with specified names or paths in a destination folder.
    * 
-   * Prompts the user for a Google Sheet URL with folder names and creates new folders
-   * in the specified destination folder.
+   * Prompts the user for a Google Sheet URL with folder names, unless passed as parameters, and
+   * creates new folders in the specified destination folder. A name such as "Clients/Acme/2026" is treated as a
+   * path: each level is created inside the previous one. Folders that already exist are reused
+   * instead of duplicated, so the command can be re-run safely. The URL of the last folder of
+   * each path is written to the same row as its name; blank cells are skipped.
    * 
-   * @return {void} This function does not return a value.
+   * @param {string} [foldersSheetUrl] The URL of the spreadsheet with the folder names.
+   * @param {string} [foldersTabName] The name of the tab with the folder names.
+   * @param {string} [foldernamesRange] The A1 notation range of the folder names or paths.
+   * @param {string|number} [urlWriteColumn] The column number (1-based) that receives the folder URLs.
+   * @param {string} [destinationFolderUrl] The URL or ID of the folder the paths start from.
+   * @return {number} The number of folder paths processed.
    * 
-   * @throws {Error} If any of the inputs are invalid or if there are issues creating folders.
+   * @throws {Error} If any of the inputs are invalid. A row whose folders cannot be created is noted in the run log instead.
    * 
    * @example
    * copyFolders();
    */
-  function copyFolders() {
-    var foldersSheetUrl = getUserInput('Enter the foldernames list sheet URL');
-    var foldersTabName = getUserInput('Enter the foldernames sheet tab name');
-    var foldernamesRange = getUserInput('Enter filename list range');
-    var urlWriteColumn = getUserInput('Enter column number to write URLs');
-    var destinationFolderUrl = getUserInput('Enter destination folder URL');
+  function copyFolders(foldersSheetUrl, foldersTabName, foldernamesRange, urlWriteColumn, destinationFolderUrl) {
+    foldersSheetUrl = foldersSheetUrl || getUserInput('Enter the foldernames list sheet URL');
+    foldersTabName = foldersTabName || getUserInput('Enter the foldernames sheet tab name');
+    foldernamesRange = foldernamesRange || getUserInput('Enter filename list range');
+    urlWriteColumn = urlWriteColumn || getUserInput('Enter column number to write URLs');
+    destinationFolderUrl = destinationFolderUrl || getUserInput('Enter destination folder URL');
     
-    var sheet = SpreadsheetApp.openByUrl(foldersSheetUrl).getSheetByName(foldersTabName);
+    var sheet = openSpreadsheet_(foldersSheetUrl).getSheetByName(foldersTabName);
     var range = sheet.getRange(foldernamesRange);
-    var foldernames = range.getDisplayValues();
-    var destinationFolder = DriveApp.getFolderById(getIdFromUrl(destinationFolderUrl));
+    var destinationFolder = openDriveFolder_(destinationFolderUrl);
   
-    var filteredFoldernames = foldernames.filter((foldername) => foldername[0] !== "");
+    var run = newRunLog_('copyFolders', { foldersSheetUrl, foldersTabName, foldernamesRange, urlWriteColumn, destinationFolderUrl });
+    createFoldersInRange_(sheet, range, destinationFolder, urlWriteColumn, run);
+    return run.processed;
+  }
   
-    for (let i = 0; i < filteredFoldernames.length; i++) {
-      let newFolder = destinationFolder.createFolder(filteredFoldernames[i].toString());
-      let folderUrl = newFolder.getUrl();
-      sheet.getRange(2 + i, parseInt(urlWriteColumn)).setValue(folderUrl);
+  /**
+   * Creates the folder path named on each row of a range and writes the folder URL to the same row.
+   * 
+   * Shared by copyFolders and the web app endpoint; makes no UI calls. A row whose folders cannot
+   * be created is recorded with its error in the run record and the result, and the other rows go on.
+   * 
+   * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The tab with the folder names.
+   * @param {GoogleAppsScript.Spreadsheet.Range} range The single-column range of folder names or paths.
+   * @param {GoogleAppsScript.Drive.Folder} destinationFolder The folder the paths start from.
+   * @param {string|number} urlWriteColumn The column number (1-based) that receives the folder URLs.
+   * @param {Object} run The run record from newRunLog_.
+   * @return {Array<{ row: number, name: string, action: string, url: string, error: (string|undefined) }>} One entry
+   * per row, with the action 'created' (or reused), 'blank' for rows without a name, or 'error' with the error.
+   */
+  function createFoldersInRange_(sheet, range, destinationFolder, urlWriteColumn, run) {
+    const foldernames = range.getDisplayValues();
+    const rows = [];
+    for (let i = 0; i < foldernames.length; i++) {
+      let rowNumber = range.getRow() + i;
+      let folderPath = foldernames[i][0].trim();
+      if (folderPath === "") {
+        run.skipped++;
+        rows.push({ row: rowNumber, name: '', action: 'blank', url: '' });
+        continue;
+      }
+      try {
+        let newFolder = getOrCreateFolderPath_(destinationFolder, folderPath);
+        let folderUrl = newFolder.getUrl();
+        sheet.getRange(rowNumber, parseInt(urlWriteColumn)).setValue(folderUrl);
+        run.processed++;
+        rows.push({ row: rowNumber, name: folderPath, action: 'created', url: folderUrl });
+      } catch (e) {
+        run.failed++;
+        noteRunRow_(run, rowNumber, e.message);
+        rows.push({ row: rowNumber, name: folderPath, action: 'error', url: '', error: e.message });
+        console.error(`Failed to create folder path '${folderPath}' (Row ${rowNumber}). Error: ${e.message}`);
+      }
     }
+    finishRunLog_(run, 'Done');
+    return rows;
+  }
+  
+  /**
+   * Copies a file into a folder under a name, applying a policy when the folder already has a file of that name.
+   * 
+   * Policies: 'skip' keeps the existing file and makes no copy; 'overwrite' moves every existing
+   * file of that name to the trash and makes the copy; 'suffix' makes the copy with the first free
+   * name of the form 'name (2)', 'name (3)', ... Trashed files are ignored.
+   * 
+   * @param {GoogleAppsScript.Drive.File} template The file to copy.
+   * @param {string} name The name of the copy.
+   * @param {GoogleAppsScript.Drive.Folder} folder The destination folder.
+   * @param {string} policy One of DUPLICATE_POLICIES.
+   * @return {{ file: GoogleAppsScript.Drive.File, action: string, note: string }} The copy, or the existing file when
+   * skipped; the action ('created', 'skipped', 'overwritten' or 'suffixed'); and a note describing what the policy did,
+   * blank when there was no duplicate.
+   * 
+   * @example
+   * const result = copyFileWithPolicy_(template, 'Acme - Contract', folder, 'suffix');
+   */
+  function copyFileWithPolicy_(template, name, folder, policy) {
+    const existing = [];
+    const files = folder.getFilesByName(name);
+    while (files.hasNext()) {
+      const file = files.next();
+      if (!file.isTrashed()) {
+        existing.push(file);
+      }
+    }
+    if (existing.length === 0) {
+      return { file: template.makeCopy(name, folder), action: 'created', note: '' };
+    }
+  
+    switch (policy) {
+      case 'skip':
+        console.log(`Keeping existing file '${name}' in '${folder.getName()}'`);
+        return { file: existing[0], action: 'skipped', note: `Existing file kept (duplicate policy: skip)` };
+      case 'overwrite':
+        existing.forEach(file => file.setTrashed(true));
+        console.info(`Trashed ${existing.length} existing file(s) named '${name}' in '${folder.getName()}'`);
+        return { file: template.makeCopy(name, folder), action: 'overwritten', note: `Existing file moved to trash and replaced (duplicate policy: overwrite)` };
+      case 'suffix': {
+        let n = 2;
+        while (hasUntrashedFileNamed_(folder, `${name} (${n})`)) {
+          n++;
+        }
+        const suffixed = `${name} (${n})`;
+        return { file: template.makeCopy(suffixed, folder), action: 'suffixed', note: `Created as '${suffixed}' (duplicate policy: suffix)` };
+      }
+      default:
+        throw new Error(`Unknown duplicate policy: '${policy}'`);
+    }
+  }
+  
+  /**
+   * Checks whether a folder holds a file of a given name that is not in the trash.
+   * 
+   * @param {GoogleAppsScript.Drive.Folder} folder The folder.
+   * @param {string} name The file name.
+   * @return {boolean} True if a non-trashed file has that name.
+   */
+  function hasUntrashedFileNamed_(folder, name) {
+    const files = folder.getFilesByName(name);
+    while (files.hasNext()) {
+      if (!files.next().isTrashed()) {
+        return true;
+      }
+    }
+    return false;
+  }
+  
+  /**
+   * Checks a duplicate policy entered by the user.
+   * 
+   * @param {string} [policy] The policy; blank means 'skip'.
+   * @return {string} One of DUPLICATE_POLICIES.
+   * @throws {Error} If the policy is not one of DUPLICATE_POLICIES.
+   */
+  function normalizeDuplicatePolicy_(policy) {
+    const normalized = String(policy || 'skip').trim().toLowerCase();
+    if (!DUPLICATE_POLICIES.includes(normalized)) {
+      throw new Error(`Unknown duplicate policy '${policy}'. Use ${DUPLICATE_POLICIES.join(', ')}.`);
+    }
+    return normalized;
+  }
+  
+  /**
+   * Returns the folder at a slash-separated path below a root folder, creating missing levels.
+   * 
+   * Each level reuses an existing, non-trashed subfolder with the same name if there is one.
+   * Empty levels (e.g. from "a//b" or a trailing slash) are ignored.
+   * 
+   * @param {GoogleAppsScript.Drive.Folder} rootFolder The folder the path starts from.
+   * @param {string} folderPath The path, e.g. "Clients/Acme/2026".
+   * @return {GoogleAppsScript.Drive.Folder} The folder at the end of the path.
+   * 
+   * @example
+   * const leaf = getOrCreateFolderPath_(DriveApp.getRootFolder(), "Clients/Acme/2026");
+   */
+  function getOrCreateFolderPath_(rootFolder, folderPath) {
+    const names = folderPath.split('/').map(name => name.trim()).filter(name => name !== "");
+    return names.reduce((parent, name) => {
+      const existing = parent.getFoldersByName(name);
+      while (existing.hasNext()) {
+        const folder = existing.next();
+        if (!folder.isTrashed()) {
+          console.log(`Reusing folder '${name}' in '${parent.getName()}'`);
+          return folder;
+        }
+      }
+      console.info(`Creating folder '${name}' in '${parent.getName()}'`);
+      return parent.createFolder(name);
+    }, rootFolder);
   }
   
   /**
@@ -128,15 +584,8 @@
    */
   function retrieveFiles() {
     var parentFolderUrl = getUserInput('Enter the parent folder link');
-    var folder = DriveApp.getFolderById(getIdFromUrl(parentFolderUrl));
-    var files = folder.getFiles();
-    var fileData = [];
-    
-    while (files.hasNext()) {
-      var file = files.next();
-      var fileUrl = 'https://drive.google.com/open?id=' + file.getId();
-      fileData.push([file.getName(), fileUrl]);
-    }
+    var folder = openDriveFolder_(parentFolderUrl);
+    var fileData = listFolderItems_(folder, 'files').map(item => [item.name, item.url]);
     
     if (fileData.length > 0) {
       var sheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
@@ -161,15 +610,8 @@
    */
   function retrieveFolders() {
     var parentFolderUrl = getUserInput('Enter the parent folder link');
-    var folder = DriveApp.getFolderById(getIdFromUrl(parentFolderUrl));
-    var subfolders = folder.getFolders();
-    var folderData = [];
-    
-    while (subfolders.hasNext()) {
-      var subfolder = subfolders.next();
-      var folderUrl = 'https://drive.google.com/drive/folders/' + subfolder.getId();
-      folderData.push([subfolder.getName(), folderUrl]);
-    }
+    var folder = openDriveFolder_(parentFolderUrl);
+    var folderData = listFolderItems_(folder, 'folders').map(item => [item.name, item.url]);
     
     if (folderData.length > 0) {
       var sheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
@@ -179,6 +621,115 @@
     SpreadsheetApp.getUi().alert('Folders retrieved successfully.');
   }
   
+  /**
+   * Lists the files or the subfolders directly inside a folder, without writing anything.
+   * 
+   * @param {GoogleAppsScript.Drive.Folder} folder The parent folder.
+   * @param {string} kind 'files' or 'folders'.
+   * @return {Array<{ name: string, id: string, url: string, mimeType: string }>} The items, in Drive's order.
+   * 
+   * @example
+   * const files = listFolderItems_(openDriveFolder_(folderUrl), 'files');
+   */
+  function listFolderItems_(folder, kind) {
+    const items = [];
+    if (kind === 'folders') {
+      const subfolders = folder.getFolders();
+      while (subfolders.hasNext()) {
+        const subfolder = subfolders.next();
+        items.push({ name: subfolder.getName(), id: subfolder.getId(), url: 'https://drive.google.com/drive/folders/' + subfolder.getId(), mimeType: MimeType.FOLDER });
+      }
+    } else {
+      const files = folder.getFiles();
+      while (files.hasNext()) {
+        const file = files.next();
+        items.push({ name: file.getName(), id: file.getId(), url: 'https://drive.google.com/open?id=' + file.getId(), mimeType: file.getMimeType() });
+      }
+    }
+    return items;
+  }
+  
+  /**
+   * Walks a folder tree depth-first, visiting at most `limit` items, and records its position in `state`.
+   * 
+   * The walk can be resumed in a later execution by passing the same (JSON round-tripped) state:
+   * each folder on the current path keeps continuation tokens for its file and subfolder iterators.
+   * Files of a folder are visited before its subfolders. The root folder itself is not visited.
+   * The state grows with the depth of the tree, so batch jobs keep it in job.state, which
+   * saveBatchJob_ saves apart from the job, split over several properties.
+   * 
+   * @param {{ stack: Array<Object> }} state The walk state. Start with newDriveTreeState_(rootFolder).
+   * @param {number} limit The maximum number of files and folders to visit in this call.
+   * @param {{ file: function(GoogleAppsScript.Drive.File, Object): void, folder: function(GoogleAppsScript.Drive.Folder, Object): * }} visitor
+   *     Callbacks receiving each item and the frame of its parent folder ({ id, path, data }). The value returned
+   *     by visitor.folder is stored as the data of the new folder's frame, e.g. the ID of its copy.
+   * @return {boolean} True when the whole tree has been visited.
+   * 
+   * @example
+   * const state = newDriveTreeState_(getDriveFolderById_(folderId, resourceKey));
+   * while (!walkDriveTree_(state, 50, { file: (file, parent) => console.log(`${parent.path}/${file.getName()}`), folder: () => null })) {}
+   */
+  function walkDriveTree_(state, limit, visitor) {
+    let visited = 0;
+    while (state.stack.length > 0 && visited < limit) {
+      const frame = state.stack[state.stack.length - 1];
+  
+      if (!frame.filesDone) {
+        const files = frame.filesToken ? DriveApp.continueFileIterator(frame.filesToken) : getDriveFolderById_(frame.id, frame.resourceKey).getFiles();
+        while (visited < limit && files.hasNext()) {
+          visitor.file(files.next(), frame);
+          visited++;
+        }
+        frame.filesDone = !files.hasNext();
+        frame.filesToken = frame.filesDone ? null : files.getContinuationToken();
+        continue;
+      }
+  
+      const folders = frame.foldersToken ? DriveApp.continueFolderIterator(frame.foldersToken) : getDriveFolderById_(frame.id, frame.resourceKey).getFolders();
+      if (folders.hasNext()) {
+        const folder = folders.next();
+        const data = visitor.folder(folder, frame);
+        visited++;
+        frame.foldersToken = folders.getContinuationToken();
+        state.stack.push(newDriveTreeFrame_(folder, `${frame.path}/${folder.getName()}`, data));
+      } else {
+        state.stack.pop();
+      }
+    }
+    return state.stack.length === 0;
+  }
+  
+  /**
+   * Creates the initial state for walkDriveTree_.
+   * 
+   * @param {GoogleAppsScript.Drive.Folder} rootFolder The folder whose contents will be walked.
+   * @param {*} [data] Data for the root frame, passed to the visitor as the parent of top-level items.
+   * @return {{ stack: Array<Object> }} The walk state.
+   */
+  function newDriveTreeState_(rootFolder, data) {
+    return { stack: [newDriveTreeFrame_(rootFolder, rootFolder.getName(), data)] };
+  }
+  
+  /**
+   * Creates a walkDriveTree_ stack frame for a folder.
+   * 
+   * @param {GoogleAppsScript.Drive.Folder} folder The folder.
+   * @param {string} path The slash-separated path of the folder from the root.
+   * @param {*} data Caller data attached to the frame.
+   * @return {Object} The frame.
+   */
+  function newDriveTreeFrame_(folder, path, data) {
+    return {
+      id: folder.getId(),
+      resourceKey: folder.getResourceKey() || '',
+      path: path,
+      data: data === undefined ? null : data,
+      filesToken: null,
+      foldersToken: null,
+      filesDone: false
+    };
+  }
+  
   // console.time(`START: `); // start a process timer
   // console.timeEnd(`END: `); // end a proceess timer
   // console.log(`DEBUG: Constant message, followed by variable: '${e.message}'`); // debug
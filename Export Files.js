@@ -0,0 +1,160 @@
+/**
+ * @OnlyCurrentDoc
+ * Indicates that this automation will only attempt to read or modify the spreadsheet this script is bound to.
+ * The authorization request message presented to users reflects the limited scope.
+ */
+
+const EXPORT_URL_HEADER = 'Export URL';
+
+/**
+ * Exports the Google Docs, Sheets and Slides files listed in a tab to PDF, DOCX, XLSX or PPTX.
+ *
+ * Each export is saved in the given folder, named after the row's name column (or the file's own
+ * name) with the format's extension, and its URL is written to the export column. Rows with a
+ * blank file URL, an existing export URL, or hidden by a filter are skipped, so the command can
+ * be re-run. Errors are written to the export column instead of a URL.
+ *
+ * @param {string} [format] 'pdf', 'docx', 'xlsx' or 'pptx'. Prompts if not provided.
+ * @param {string} [folderUrl] The URL or ID of the folder that receives the exports. Prompts if not provided.
+ * @param {string} [thisTab] The name of the tab in the active spreadsheet. Defaults to the active tab.
+ * @param {string} [urlHeader] The header of the column with the file URLs. Prompts if not provided.
+ * @param {string} [exportHeader] The header of the column that receives the export URLs. Prompts if not provided.
+ * @param {string} [nameHeader] The header of the column with the export names. Prompts if not provided; blank uses the file names.
+ * @return {{ job: Object, outcome: string }|undefined} The batch job result, or undefined if the inputs were invalid.
+ *
+ * @example
+ * exportFiles('pdf', 'https://drive.google.com/drive/folders/1bwQ...', 'Contracts', 'Contract URL', 'PDF URL', 'Client');
+ */
+function exportFiles(format, folderUrl, thisTab, urlHeader, exportHeader, nameHeader) {
+  console.log(`Start exportFiles('${format}', '${folderUrl}', '${thisTab}', '${urlHeader}', '${exportHeader}', '${nameHeader}')`);
+  console.time(`exportFiles() time `);
+
+  const activeSpreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+
+  format = String(format || getUserInput(`Enter the export format (${Object.keys(EXPORT_MIME_TYPES).join(', ')})`)).trim().toLowerCase();
+  if (!EXPORT_MIME_TYPES[format]) {
+    activeSpreadsheet.toast(`Export failed: unknown format '${format}'.`);
+    console.error(`Abort script due to unknown export format: '${format}'`);
+    return;
+  }
+  folderUrl = folderUrl || getUserInput('Enter the folder link to save the exports in');
+  urlHeader = urlHeader || getUserInput('Enter the HEADER NAME of the column of file links to export:');
+  exportHeader = exportHeader || getUserInput('Enter the HEADER NAME of the column to receive the export links:');
+  if (!folderUrl || !urlHeader || !exportHeader) {
+    console.error(`User input for folderUrl, urlHeader or exportHeader was invalid or canceled.`);
+    return;
+  }
+  if (nameHeader === undefined) {
+    nameHeader = getUserInput('Enter the HEADER NAME of the column of export names (leave blank to use the file names):');
+  }
+
+  const sheet = thisTab ? activeSpreadsheet.getSheetByName(thisTab) : SpreadsheetApp.getActiveSheet();
+  if (!sheet) {
+    activeSpreadsheet.toast(`Export failed: tab '${thisTab}' was not found.`);
+    console.error(`Abort script due to missing tab: '${thisTab}'`);
+    return;
+  }
+  const heads = sheet.getRange(1, 1, 1, Math.max(sheet.getLastColumn(), 1)).getDisplayValues()[0];
+  const missing = [urlHeader, exportHeader, nameHeader].filter(header => header && !heads.includes(header));
+  if (missing.length > 0) {
+    activeSpreadsheet.toast(`Export failed due to missing column header(s): '${missing.join("', '")}'`);
+    console.error(`Abort script due to missing column header(s): '${missing.join("', '")}'`);
+    return;
+  }
+
+  const folder = openDriveFolder_(folderUrl);
+  const result = startBatchJob_('exportFiles', {
+    sheetId: activeSpreadsheet.getId(),
+    tabName: sheet.getName(),
+    format: format,
+    folderId: folder.getId(),
+    folderResourceKey: folder.getResourceKey() || '',
+    urlHeader: urlHeader,
+    exportHeader: exportHeader,
+    nameHeader: nameHeader || ''
+  });
+  activeSpreadsheet.toast(describeBatchOutcome_('Export', result));
+
+  console.timeEnd(`exportFiles() time `);
+  return result;
+}
+
+/**
+ * Exports the next chunk of rows for an exportFiles batch job and writes their export URLs.
+ *
+ * @param {Object} job The batch job state created by exportFiles; job.cursor is the 0-based data row to start from.
+ * @param {Object} context Resources cached across chunks of the same execution.
+ * @return {string} One of the BATCH_OUTCOME values.
+ */
+function processExportChunk_(job, context) {
+  const params = job.params;
+
+  if (!context.sheet) {
+    context.sheet = SpreadsheetApp.openById(params.sheetId).getSheetByName(params.tabName);
+    if (!context.sheet) {
+      throw new Error(`Sheet named '${params.tabName}' was not found in '${params.sheetId}'.`);
+    }
+    const data = context.sheet.getDataRange().getDisplayValues();
+    const heads = data.shift();
+    context.rows = mapArraysToObjects(heads, data);
+    context.exportColIdx = heads.indexOf(params.exportHeader);
+    context.folder = getDriveFolderById_(params.folderId, params.folderResourceKey);
+  }
+
+  const start = job.cursor;
+  const end = Math.min(start + BATCH_CHUNK_SIZE, context.rows.length);
+  const out = [];
+
+  for (let rowIdx = start; rowIdx < end; rowIdx++) {
+    const row = context.rows[rowIdx];
+    const existing = row[params.exportHeader];
+    const skipReason = context.sheet.isRowHiddenByFilter(rowIdx + 2) ? 'Row hidden by filter'
+      : existing !== '' ? 'Already exported'
+      : row[params.urlHeader] === '' ? 'No file URL' : '';
+    if (skipReason) {
+      out.push([existing]);
+      job.skipped++;
+      noteRunRow_(job, rowIdx + 2, skipReason);
+      continue;
+    }
+
+    try {
+      const exported = exportFileToFolder_(openDriveFile_(row[params.urlHeader]), params.format, context.folder, row[params.nameHeader]);
+      out.push([exported.getUrl()]);
+      job.processed++;
+      console.info(`Exported Row ${rowIdx + 2} as '${exported.getName()}'`);
+    } catch (e) {
+      out.push([`Error: ${e.message}`]);
+      job.failed++;
+      noteRunRow_(job, rowIdx + 2, e.message);
+      console.error(`Failed to export Row ${rowIdx + 2}. Error: ${e.message}`);
+    }
+  }
+
+  if (out.length > 0) {
+    context.sheet.getRange(start + 2, context.exportColIdx + 1, out.length).setValues(out);
+  }
+  job.cursor = end;
+  return job.cursor >= context.rows.length ? BATCH_OUTCOME.DONE : BATCH_OUTCOME.MORE;
+}
+
+/**
+ * Exports a Google Docs, Sheets or Slides file and saves the export in a folder.
+ *
+ * Docs export to pdf or docx, Sheets to pdf or xlsx, and Slides to pdf or pptx.
+ *
+ * @param {GoogleAppsScript.Drive.File} file The file to export.
+ * @param {string} format One of the keys of EXPORT_MIME_TYPES.
+ * @param {GoogleAppsScript.Drive.Folder} folder The folder that receives the export.
+ * @param {string} [name] The export's name without extension; defaults to the file's name.
+ * @return {GoogleAppsScript.Drive.File} The saved export.
+ * @throws {Error} If the file type cannot be exported to the format, or the export fails.
+ */
+function exportFileToFolder_(file, format, folder, name) {
+  const nativeFormat = NATIVE_EXPORT_FORMATS[file.getMimeType()];
+  if (!nativeFormat || (format !== 'pdf' && format !== nativeFormat)) {
+    throw new Error(`Cannot export '${file.getName()}' (${file.getMimeType()}) as ${format}.`);
+  }
+  const blob = exportDriveFile_(file, format).setName(`${name || file.getName()}.${format}`);
+  return folder.createFile(blob);
+}
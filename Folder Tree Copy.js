@@ -0,0 +1,178 @@
+/**
+ * @OnlyCurrentDoc
+ * Indicates that this automation will only attempt to read or modify the spreadsheet this script is bound to.
+ * The authorization request message presented to users reflects the limited scope.
+ */
+
+const FOLDER_COPY_MAP_TAB = 'Folder Copy Map';
+const FOLDER_COPY_MAP_HEADERS = ['Source Path', 'Type', 'Source ID', 'Copy ID', 'Copy URL'];
+
+/**
+ * Clones a folder into a destination folder, recreating its subfolder hierarchy and copying its files.
+ *
+ * The new root folder is named after the source folder with the prefix and suffix added. With
+ * applyToAll, every copied subfolder and file is renamed the same way. The new root URL and a
+ * source to copy ID mapping of every item are written to the 'Folder Copy Map' tab. Large trees
+ * are copied as a batch job that resumes on a trigger when the execution time limit is reached.
+ * The destination may not be the source folder or one of its subfolders.
+ *
+ * @param {string} [sourceUrl] The URL or ID of the folder to copy. Prompts if not provided.
+ * @param {string} [destinationUrl] The URL or ID of the folder that receives the copy. Prompts if not provided.
+ * @param {boolean} [structureOnly] When true, only folders are recreated and files are not copied. Asks if not provided.
+ * @param {string} [prefix] Text added before copied names. Prompts if not provided; may be blank.
+ * @param {string} [suffix] Text added after copied names. Prompts if not provided; may be blank.
+ * @param {boolean} [applyToAll] When true, the prefix and suffix apply to every copied item, not only the new root. Asks if not provided and a prefix or suffix is set.
+ * @return {void} This function does not return a value.
+ *
+ * @example
+ * copyFolderTree('https://drive.google.com/drive/folders/1Cf1...', 'https://drive.google.com/drive/folders/1bwQ...', false, 'Acme - ', '', false);
+ */
+function copyFolderTree(sourceUrl, destinationUrl, structureOnly, prefix, suffix, applyToAll) {
+  console.log(`Start copyFolderTree('${sourceUrl}', '${destinationUrl}', '${structureOnly}', '${prefix}', '${suffix}', '${applyToAll}')`);
+  console.time(`copyFolderTree() time `);
+
+  const activeSpreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+
+  sourceUrl = sourceUrl || getUserInput('Enter the folder link to copy');
+  if (!sourceUrl) {
+    console.error(`User input for sourceUrl was invalid or canceled.`);
+    return;
+  }
+  destinationUrl = destinationUrl || getUserInput('Enter the destination folder link');
+  if (!destinationUrl) {
+    console.error(`User input for destinationUrl was invalid or canceled.`);
+    return;
+  }
+  if (structureOnly === undefined) {
+    structureOnly = getUserConfirmation('Copy the folder structure only, without files?');
+  }
+  if (prefix === undefined) {
+    prefix = getUserInput('Enter a name prefix for the copy (leave blank for none)');
+  }
+  if (suffix === undefined) {
+    suffix = getUserInput('Enter a name suffix for the copy (leave blank for none)');
+  }
+  if (applyToAll === undefined) {
+    applyToAll = Boolean(prefix || suffix) && getUserConfirmation('Add the prefix and suffix to every copied folder and file? Choose No to rename only the new root folder.');
+  }
+
+  const source = openDriveFolder_(sourceUrl);
+  const destination = openDriveFolder_(destinationUrl);
+  if (isFolderWithin_(destination, source.getId())) {
+    activeSpreadsheet.toast(`Folder tree copy failed: the destination is '${source.getName()}' or one of its subfolders.`);
+    console.error(`Abort script due to destination inside the source folder: '${destinationUrl}'`);
+    return;
+  }
+  const copyRoot = destination.createFolder(`${prefix}${source.getName()}${suffix}`);
+  console.info(`Created root copy '${copyRoot.getName()}': '${copyRoot.getUrl()}'`);
+
+  const sheet = prepareReportTab_(activeSpreadsheet, FOLDER_COPY_MAP_TAB, FOLDER_COPY_MAP_HEADERS);
+  sheet.getRange(2, 1, 1, FOLDER_COPY_MAP_HEADERS.length)
+    .setValues([[source.getName(), 'Folder', source.getId(), copyRoot.getId(), copyRoot.getUrl()]]);
+
+  const result = startBatchJob_('folderTreeCopy', {
+    sourceId: source.getId(),
+    sourceResourceKey: source.getResourceKey() || '',
+    copyRootId: copyRoot.getId(),
+    structureOnly: Boolean(structureOnly),
+    prefix: applyToAll ? prefix : '',
+    suffix: applyToAll ? suffix : '',
+    sheetId: activeSpreadsheet.getId(),
+    tabName: sheet.getName()
+  });
+  activeSpreadsheet.toast(`${describeBatchOutcome_('Folder tree copy', result)} New folder: ${copyRoot.getUrl()}`);
+
+  console.timeEnd(`copyFolderTree() time `);
+}
+
+/**
+ * Copies the next part of the source tree for a folderTreeCopy batch job and appends the mapping rows.
+ *
+ * Each frame of the walk carries the ID of the copy of its folder, so items are created in the
+ * matching copied folder. job.cursor counts mapping rows after the root row.
+ *
+ * @param {Object} job The batch job state; job.state holds the walk position.
+ * @param {Object} context Resources cached across chunks of the same execution.
+ * @return {string} One of the BATCH_OUTCOME values.
+ */
+function processFolderTreeCopyChunk_(job, context) {
+  const params = job.params;
+
+  if (!context.sheet) {
+    context.sheet = SpreadsheetApp.openById(params.sheetId).getSheetByName(params.tabName);
+    if (!context.sheet) {
+      throw new Error(`Sheet named '${params.tabName}' was not found in '${params.sheetId}'.`);
+    }
+    context.folders = {};
+  }
+  if (!job.state) {
+    job.state = newDriveTreeState_(getDriveFolderById_(params.sourceId, params.sourceResourceKey), params.copyRootId);
+  }
+
+  const copyFolder = id => context.folders[id] || (context.folders[id] = DriveApp.getFolderById(id));
+  const rename = name => `${params.prefix}${name}${params.suffix}`;
+  const rows = [];
+
+  const done = walkDriveTree_(job.state, BATCH_CHUNK_SIZE, {
+    folder: (folder, parent) => {
+      const copy = copyFolder(parent.data).createFolder(rename(folder.getName()));
+      context.folders[copy.getId()] = copy;
+      rows.push([`${parent.path}/${folder.getName()}`, 'Folder', folder.getId(), copy.getId(), copy.getUrl()]);
+      job.processed++;
+      return copy.getId();
+    },
+    file: (file, parent) => {
+      if (params.structureOnly) {
+        return;
+      }
+      try {
+        const copy = file.makeCopy(rename(file.getName()), copyFolder(parent.data));
+        rows.push([`${parent.path}/${file.getName()}`, file.getMimeType(), file.getId(), copy.getId(), copy.getUrl()]);
+        job.processed++;
+      } catch (e) {
+        // The failed item's row on the map tab, after the root row and earlier chunks.
+        noteRunRow_(job, job.cursor + rows.length + 3, e.message);
+        rows.push([`${parent.path}/${file.getName()}`, file.getMimeType(), file.getId(), '', `Error: ${e.message}`]);
+        job.failed++;
+        console.error(`Failed to copy '${parent.path}/${file.getName()}'. Error: ${e.message}`);
+      }
+    }
+  });
+
+  if (rows.length > 0) {
+    // Row 2 holds the root folder mapping.
+    context.sheet.getRange(job.cursor + 3, 1, rows.length, FOLDER_COPY_MAP_HEADERS.length).setValues(rows);
+  }
+  job.cursor += rows.length;
+
+  return done ? BATCH_OUTCOME.DONE : BATCH_OUTCOME.MORE;
+}
+
+/**
+ * Checks whether a folder is another folder or lies anywhere below it.
+ *
+ * A copy made inside its own source would be reached by the walk and copied again, over and over.
+ *
+ * @param {GoogleAppsScript.Drive.Folder} folder The folder to check.
+ * @param {string} ancestorId The ID of the possible ancestor.
+ * @return {boolean} True if the folder is the ancestor or one of its subfolders.
+ */
+function isFolderWithin_(folder, ancestorId) {
+  const seen = {};
+  const pending = [folder];
+  while (pending.length > 0) {
+    const current = pending.pop();
+    if (current.getId() === ancestorId) {
+      return true;
+    }
+    if (seen[current.getId()]) {
+      continue;
+    }
+    seen[current.getId()] = true;
+    const parents = current.getParents();
+    while (parents.hasNext()) {
+      pending.push(parents.next());
+    }
+  }
+  return false;
+}
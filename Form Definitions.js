@@ -0,0 +1,624 @@
+/**
+ * @OnlyCurrentDoc
+ * Indicates that this automation will only attempt to read or modify the spreadsheet this script is bound to.
+ * The authorization request message presented to users reflects the limited scope.
+ */
+
+const FORM_DEFINITION_HEADERS = ['Item ID', 'Type', 'Title', 'Help Text', 'Required', 'Choices', 'Details', 'Validation'];
+// Type of the definition tab rows that hold form settings instead of items.
+const FORM_SETTING_TYPE = 'SETTING';
+// Separates a choice from the section it goes to in the Choices cell, e.g. 'Yes -> Contact details'.
+const FORM_CHOICE_GOTO = ' -> ';
+
+/**
+ * The item types that can be built, with the Form method that adds each one and the Item method that casts to it.
+ *
+ * Other types (images, videos, file uploads, ratings) are exported with their title and help text
+ * only, and are skipped when building.
+ */
+const FORM_ITEM_TYPES = Object.freeze({
+  TEXT: { add: 'addTextItem', as: 'asTextItem' },
+  PARAGRAPH_TEXT: { add: 'addParagraphTextItem', as: 'asParagraphTextItem' },
+  MULTIPLE_CHOICE: { add: 'addMultipleChoiceItem', as: 'asMultipleChoiceItem' },
+  CHECKBOX: { add: 'addCheckboxItem', as: 'asCheckboxItem' },
+  LIST: { add: 'addListItem', as: 'asListItem' },
+  SCALE: { add: 'addScaleItem', as: 'asScaleItem' },
+  GRID: { add: 'addGridItem', as: 'asGridItem' },
+  CHECKBOX_GRID: { add: 'addCheckboxGridItem', as: 'asCheckboxGridItem' },
+  DATE: { add: 'addDateItem', as: 'asDateItem' },
+  DATETIME: { add: 'addDateTimeItem', as: 'asDateTimeItem' },
+  TIME: { add: 'addTimeItem', as: 'asTimeItem' },
+  DURATION: { add: 'addDurationItem', as: 'asDurationItem' },
+  PAGE_BREAK: { add: 'addPageBreakItem', as: 'asPageBreakItem' },
+  SECTION_HEADER: { add: 'addSectionHeaderItem', as: 'asSectionHeaderItem' }
+});
+
+/**
+ * The form settings kept in a definition, with their Form getter and setter.
+ */
+const FORM_SETTINGS = Object.freeze({
+  title: ['getTitle', 'setTitle'],
+  description: ['getDescription', 'setDescription'],
+  confirmationMessage: ['getConfirmationMessage', 'setConfirmationMessage'],
+  customClosedFormMessage: ['getCustomClosedFormMessage', 'setCustomClosedFormMessage'],
+  acceptingResponses: ['isAcceptingResponses', 'setAcceptingResponses'],
+  allowResponseEdits: ['canEditResponse', 'setAllowResponseEdits'],
+  collectEmail: ['collectsEmail', 'setCollectEmail'],
+  limitOneResponsePerUser: ['hasLimitOneResponsePerUser', 'setLimitOneResponsePerUser'],
+  progressBar: ['hasProgressBar', 'setProgressBar'],
+  shuffleQuestions: ['getShuffleQuestions', 'setShuffleQuestions'],
+  showLinkToRespondAgain: ['hasRespondAgainLink', 'setShowLinkToRespondAgain'],
+  publishingSummary: ['isPublishingSummary', 'setPublishingSummary'],
+  isQuiz: ['isQuiz', 'setIsQuiz']
+});
+
+/**
+ * The validation rules a definition can set, by item type.
+ *
+ * A rule is 'name' or 'name:argument', e.g. 'email', 'maxLength:200' or 'regex:^[A-Z]{3}$'.
+ * Each entry returns the built validation for the argument.
+ */
+const FORM_VALIDATIONS = Object.freeze({
+  TEXT: {
+    email: () => FormApp.createTextValidation().requireTextIsEmail().build(),
+    url: () => FormApp.createTextValidation().requireTextIsUrl().build(),
+    number: () => FormApp.createTextValidation().requireNumber().build(),
+    integer: () => FormApp.createTextValidation().requireWholeNumber().build(),
+    regex: arg => FormApp.createTextValidation().requireTextMatchesPattern(arg).build(),
+    minLength: arg => FormApp.createTextValidation().requireTextLengthGreaterThanOrEqualTo(Number(arg)).build(),
+    maxLength: arg => FormApp.createTextValidation().requireTextLengthLessThanOrEqualTo(Number(arg)).build()
+  },
+  PARAGRAPH_TEXT: {
+    regex: arg => FormApp.createParagraphTextValidation().requireTextMatchesPattern(arg).build(),
+    minLength: arg => FormApp.createParagraphTextValidation().requireTextLengthGreaterThanOrEqualTo(Number(arg)).build(),
+    maxLength: arg => FormApp.createParagraphTextValidation().requireTextLengthLessThanOrEqualTo(Number(arg)).build()
+  },
+  CHECKBOX: {
+    atLeast: arg => FormApp.createCheckboxValidation().requireSelectAtLeast(Number(arg)).build(),
+    atMost: arg => FormApp.createCheckboxValidation().requireSelectAtMost(Number(arg)).build(),
+    exactly: arg => FormApp.createCheckboxValidation().requireSelectExactly(Number(arg)).build()
+  },
+  GRID: {
+    onePerColumn: () => FormApp.createGridValidation().requireLimitOneResponsePerColumn().build()
+  },
+  CHECKBOX_GRID: {
+    onePerColumn: () => FormApp.createCheckboxGridValidation().requireLimitOneResponsePerColumn().build()
+  }
+});
+
+/**
+ * Exports a form's complete definition to a tab of the active spreadsheet or to a JSON file in Drive.
+ *
+ * The definition holds the form settings and, for each item in order, its ID, type, title, help
+ * text, required flag, choices (with the section each one goes to), and type-specific details
+ * such as scale bounds, grid rows and columns, or where a section continues. Apps Script cannot
+ * read an item's response validation, so exported definitions leave Validation blank; quiz
+ * points and feedback are not exported either.
+ *
+ * The tab is named 'Form - <form title>' and is replaced if it exists. It has one row per
+ * setting (Type 'SETTING', the setting's name as Title and its JSON value as Details) followed by
+ * one row per item. The JSON file is named '<form title>.json'.
+ *
+ * @param {string} [formUrl] The URL or ID of the form. Prompts if not provided.
+ * @param {string} [target] 'sheet' or 'json'. Prompts if not provided.
+ * @param {string} [folderUrl] For 'json', the folder that receives the file. Prompts if not provided; blank uses the form's folder.
+ * @return {GoogleAppsScript.Spreadsheet.Sheet|GoogleAppsScript.Drive.File|undefined} The tab or file written, or undefined if the inputs were invalid.
+ *
+ * @example
+ * exportFormDefinition('https://docs.google.com/forms/d/1FAI.../edit', 'json', '');
+ */
+function exportFormDefinition(formUrl, target, folderUrl) {
+  console.log(`Start exportFormDefinition('${formUrl}', '${target}', '${folderUrl}')`);
+  console.time(`exportFormDefinition() time `);
+
+  const activeSpreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  formUrl = formUrl || getUserInput('Enter the link of the form to export');
+  target = String(target || getUserInput('Export to a sheet tab or a JSON file? Type sheet or json')).trim().toLowerCase();
+  if (!formUrl || (target !== 'sheet' && target !== 'json')) {
+    activeSpreadsheet.toast(`Form export failed: enter a form link, and sheet or json.`);
+    console.error(`Abort script due to invalid formUrl or target: '${formUrl}', '${target}'`);
+    return;
+  }
+
+  const form = FormApp.openById(getIdFromUrl(formUrl));
+  const definition = readFormDefinition_(form);
+  const name = form.getTitle() || 'Untitled form';
+  let written;
+
+  if (target === 'sheet') {
+    const rows = formDefinitionToRows_(definition);
+    written = prepareReportTab_(activeSpreadsheet, `Form - ${name}`.slice(0, 100), FORM_DEFINITION_HEADERS);
+    written.getRange(2, 1, rows.length, FORM_DEFINITION_HEADERS.length).setValues(rows);
+    activeSpreadsheet.toast(`Form definition written to the '${written.getName()}' tab.`);
+  } else {
+    if (folderUrl === undefined) {
+      folderUrl = getUserInput('Enter the folder link to save the JSON file in (leave blank for the form\'s folder)');
+    }
+    const parents = DriveApp.getFileById(form.getId()).getParents();
+    const folder = folderUrl ? openDriveFolder_(folderUrl) : parents.hasNext() ? parents.next() : DriveApp.getRootFolder();
+    written = folder.createFile(`${name}.json`, JSON.stringify(definition, null, 2), 'application/json');
+    activeSpreadsheet.toast(`Form definition saved to '${written.getName()}' in '${folder.getName()}'.`);
+  }
+  console.info(`Exported ${definition.items.length} item(s) of '${name}' to ${target}`);
+
+  console.timeEnd(`exportFormDefinition() time `);
+  return written;
+}
+
+/**
+ * Builds a new form, or updates an existing one, from a definition in a tab or a JSON file.
+ *
+ * The definition has the layout written by exportFormDefinition, and can be edited or written
+ * by hand. When updating, each definition item is matched to a form item by Item ID, or else by
+ * type and title, and edited in place so that its responses are kept. Unmatched definition items
+ * are added, form items that are not in the definition are deleted (after confirmation), and the
+ * items are put in definition order. Sections are referred to by their title, so section titles
+ * should be unique. Choice and section navigation is set once all sections exist. A blank
+ * Validation leaves an existing item's validation as it is. The whole definition is checked
+ * (see validateFormDefinition_) before anything in the form is changed.
+ *
+ * @param {string} [source] The name of a tab in the active spreadsheet, or the link of a JSON file. Prompts if not provided.
+ * @param {string} [formUrl] The link of the form to update. Prompts if not provided; blank creates a new form.
+ * @return {GoogleAppsScript.Forms.Form|undefined} The built form, or undefined if the inputs were invalid or the update was canceled.
+ *
+ * @example
+ * buildFormFromDefinition('Form - Intake', 'https://docs.google.com/forms/d/1FAI.../edit');
+ */
+function buildFormFromDefinition(source, formUrl) {
+  console.log(`Start buildFormFromDefinition('${source}', '${formUrl}')`);
+  console.time(`buildFormFromDefinition() time `);
+
+  const activeSpreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  source = source || getUserInput('Enter the tab name or JSON file link of the form definition');
+  if (!source) {
+    console.error(`User input for source was invalid or canceled.`);
+    return;
+  }
+  if (formUrl === undefined) {
+    formUrl = getUserInput('Enter the link of the form to update (leave blank to create a new form)');
+  }
+
+  let definition;
+  try {
+    definition = readFormDefinitionSource_(activeSpreadsheet, source);
+  } catch (e) {
+    activeSpreadsheet.toast(`Form build failed: ${e.message}`);
+    console.error(`Abort script due to unreadable form definition: ${e.message}`);
+    return;
+  }
+  const problems = validateFormDefinition_(definition);
+  if (problems.length > 0) {
+    problems.forEach(problem => console.error(problem));
+    activeSpreadsheet.toast(`Form build failed: ${problems.length} problem(s) in '${source}', starting with: ${problems[0]}`);
+    console.error(`Abort script due to an invalid form definition: '${source}'`);
+    return;
+  }
+
+  let form;
+  if (formUrl) {
+    form = FormApp.openById(getIdFromUrl(formUrl));
+    const plan = matchFormItems_(form.getItems(), definition.items);
+    if (!getUserConfirmation(`Update '${form.getTitle()}' from '${source}'? ` +
+      `${plan.unmatched.length} item(s) not in the definition will be deleted.`)) {
+      console.warn(`buildFormFromDefinition() was canceled by the user.`);
+      return;
+    }
+    plan.unmatched.forEach(item => form.deleteItem(item));
+  } else {
+    form = FormApp.create(definition.settings.title || 'Untitled form');
+  }
+
+  const warnings = applyFormDefinition_(form, definition);
+  warnings.forEach(warning => console.warn(warning));
+  activeSpreadsheet.toast(`Form '${form.getTitle()}' built from '${source}'` +
+    (warnings.length > 0 ? ` with ${warnings.length} warning(s); see the execution log.` : '.') + ` ${form.getEditUrl()}`);
+
+  console.timeEnd(`buildFormFromDefinition() time `);
+  return form;
+}
+
+/**
+ * Reads the settings and items of a form.
+ *
+ * @param {GoogleAppsScript.Forms.Form} form The form.
+ * @return {{ settings: Object, items: Array<Object> }} The definition. Each item is
+ * { id, type, title, helpText, required, choices, details, validation }.
+ */
+function readFormDefinition_(form) {
+  const settings = {};
+  Object.keys(FORM_SETTINGS).forEach(key => {
+    try {
+      settings[key] = form[FORM_SETTINGS[key][0]]();
+    } catch (e) {
+      // Some settings are only available to Google Workspace accounts.
+      console.warn(`Unable to read form setting '${key}': ${e.message}`);
+    }
+  });
+
+  const items = form.getItems().map(item => {
+    const type = item.getType().name();
+    const definition = { id: String(item.getId()), type: type, title: item.getTitle(), helpText: item.getHelpText(), required: false, choices: [], details: {}, validation: '' };
+    if (!FORM_ITEM_TYPES[type]) {
+      return definition;
+    }
+
+    const typed = item[FORM_ITEM_TYPES[type].as]();
+    if (typeof typed.isRequired === 'function') {
+      definition.required = typed.isRequired();
+    }
+    switch (type) {
+      case 'MULTIPLE_CHOICE':
+      case 'CHECKBOX':
+      case 'LIST':
+        definition.choices = typed.getChoices().map(choice => {
+          const goTo = type === 'CHECKBOX' ? '' : describePageNavigation_(choice.getPageNavigationType(), () => choice.getGotoPage());
+          return goTo ? { value: choice.getValue(), goTo: goTo } : { value: choice.getValue() };
+        });
+        if (type !== 'LIST') {
+          definition.details.otherOption = typed.hasOtherOption();
+        }
+        break;
+      case 'SCALE':
+        definition.details = { lowerBound: typed.getLowerBound(), upperBound: typed.getUpperBound(), leftLabel: typed.getLeftLabel(), rightLabel: typed.getRightLabel() };
+        break;
+      case 'GRID':
+      case 'CHECKBOX_GRID':
+        definition.details = { rows: typed.getRows(), columns: typed.getColumns() };
+        break;
+      case 'DATE':
+      case 'DATETIME':
+        definition.details = { includesYear: typed.includesYear() };
+        break;
+      case 'PAGE_BREAK': {
+        const goTo = describePageNavigation_(typed.getPageNavigationType(), () => typed.getGoToPage());
+        if (goTo) {
+          definition.details = { goTo: goTo };
+        }
+        break;
+      }
+    }
+    return definition;
+  });
+
+  return { settings: settings, items: items };
+}
+
+/**
+ * Describes where a choice or section goes: a section title, 'SUBMIT' or 'RESTART', or '' to continue.
+ *
+ * @param {GoogleAppsScript.Forms.PageNavigationType} navigationType The navigation type; null means continue.
+ * @param {function(): GoogleAppsScript.Forms.PageBreakItem} getPage Returns the target section for GO_TO_PAGE.
+ * @return {string} The target.
+ */
+function describePageNavigation_(navigationType, getPage) {
+  const name = navigationType ? navigationType.name() : 'CONTINUE';
+  if (name === 'GO_TO_PAGE') {
+    const page = getPage();
+    return page ? page.getTitle() : '';
+  }
+  return name === 'CONTINUE' ? '' : name;
+}
+
+/**
+ * Converts a definition to the rows of a definition tab, settings first.
+ *
+ * @param {{ settings: Object, items: Array<Object> }} definition The definition.
+ * @return {Array<Array<*>>} The rows, in FORM_DEFINITION_HEADERS order.
+ */
+function formDefinitionToRows_(definition) {
+  const settingRows = Object.keys(definition.settings).map(key =>
+    ['', FORM_SETTING_TYPE, key, '', '', '', JSON.stringify(definition.settings[key]), '']);
+  const itemRows = definition.items.map(item => [
+    item.id || '',
+    item.type,
+    item.title || '',
+    item.helpText || '',
+    Boolean(item.required),
+    (item.choices || []).map(choice => choice.goTo ? `${choice.value}${FORM_CHOICE_GOTO}${choice.goTo}` : choice.value).join('\n'),
+    item.details && Object.keys(item.details).length > 0 ? JSON.stringify(item.details) : '',
+    item.validation || ''
+  ]);
+  return settingRows.concat(itemRows);
+}
+
+/**
+ * Reads a definition from a tab of the spreadsheet or from a JSON file in Drive.
+ *
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet The spreadsheet to look for the tab in.
+ * @param {string} source A tab name or the link of a JSON file.
+ * @return {{ settings: Object, items: Array<Object> }} The definition.
+ * @throws {Error} If the tab has the wrong headers, a cell holds invalid JSON, or the file cannot be opened or parsed.
+ */
+function readFormDefinitionSource_(spreadsheet, source) {
+  const sheet = spreadsheet.getSheetByName(source);
+  if (!sheet) {
+    let definition;
+    try {
+      definition = JSON.parse(openDriveFile_(source).getBlob().getDataAsString());
+    } catch (e) {
+      throw new Error(`'${source}' is not a tab of this spreadsheet or a readable JSON file: ${e.message}`);
+    }
+    return { settings: definition.settings || {}, items: definition.items || [] };
+  }
+
+  const data = sheet.getDataRange().getValues();
+  const heads = data.shift();
+  const missing = FORM_DEFINITION_HEADERS.filter(header => !heads.includes(header));
+  if (missing.length > 0) {
+    throw new Error(`Tab '${source}' is missing column header(s): '${missing.join("', '")}'`);
+  }
+
+  const definition = { settings: {}, items: [] };
+  mapArraysToObjects(heads, data).forEach((row, i) => {
+    const type = String(row['Type']).trim().toUpperCase();
+    if (!type) {
+      return;
+    }
+    const details = parseDefinitionJson_(row['Details'], i + 2);
+    if (type === FORM_SETTING_TYPE) {
+      definition.settings[String(row['Title']).trim()] = details;
+      return;
+    }
+    definition.items.push({
+      id: String(row['Item ID']).trim(),
+      type: type,
+      title: String(row['Title']),
+      helpText: String(row['Help Text']),
+      required: row['Required'] === true || isTruthyCell_(row['Required']),
+      choices: String(row['Choices']).split('\n').filter(line => line.trim() !== '').map(line => {
+        const parts = line.split(FORM_CHOICE_GOTO);
+        return parts.length > 1 ? { value: parts[0], goTo: parts.slice(1).join(FORM_CHOICE_GOTO).trim() } : { value: line };
+      }),
+      details: details || {},
+      validation: String(row['Validation']).trim()
+    });
+  });
+  return definition;
+}
+
+/**
+ * Checks a definition for the problems that would stop an item from being built.
+ *
+ * Catching them up front keeps a form from being left half updated, with items already deleted.
+ * Item types that Apps Script cannot create are not problems; they are skipped with a warning.
+ *
+ * @param {{ settings: Object, items: Array<Object> }} definition The definition.
+ * @return {Array<string>} One message per problem; empty when the definition can be applied.
+ */
+function validateFormDefinition_(definition) {
+  const problems = [];
+  const sections = definition.items.filter(def => def.type === 'PAGE_BREAK').map(def => def.title);
+  const checkGoTo = (goTo, label) => {
+    const target = String(goTo || '').trim();
+    if (target && !['SUBMIT', 'RESTART', 'CONTINUE'].includes(target) && !sections.includes(target)) {
+      problems.push(`${label} goes to '${target}', but no section has that title.`);
+    }
+  };
+
+  definition.items.forEach((def, i) => {
+    const label = `Item ${i + 1} '${def.title}' (${def.type})`;
+    if (!FORM_ITEM_TYPES[def.type]) {
+      return;
+    }
+    if (['MULTIPLE_CHOICE', 'CHECKBOX', 'LIST'].includes(def.type) && (def.choices || []).length === 0) {
+      problems.push(`${label} needs at least one choice.`);
+    }
+    (def.choices || []).forEach(choice => checkGoTo(choice.goTo, `${label} choice '${choice.value}'`));
+    checkGoTo(def.details && def.details.goTo, label);
+
+    if (def.validation) {
+      const [rule, ...rest] = String(def.validation).split(':');
+      const arg = rest.join(':');
+      if (!(FORM_VALIDATIONS[def.type] || {})[rule.trim()]) {
+        problems.push(`${label}: validation '${def.validation}' is not supported for ${def.type} items.`);
+      } else if (/^(minLength|maxLength|atLeast|atMost|exactly)$/.test(rule.trim()) && (arg.trim() === '' || isNaN(Number(arg)))) {
+        problems.push(`${label}: validation '${def.validation}' needs a number.`);
+      }
+    }
+  });
+  return problems;
+}
+
+/**
+ * Parses the JSON in a Details cell of a definition tab.
+ *
+ * @param {*} value The cell value; blank means no value.
+ * @param {number} rowNumber The 1-based row number, for the error message.
+ * @return {*} The parsed value, or undefined for a blank cell.
+ * @throws {Error} If the cell is not valid JSON.
+ */
+function parseDefinitionJson_(value, rowNumber) {
+  if (value === '' || value === null || value === undefined) {
+    return undefined;
+  }
+  try {
+    return JSON.parse(String(value));
+  } catch (e) {
+    throw new Error(`Row ${rowNumber} has invalid JSON in Details: ${e.message}`);
+  }
+}
+
+/**
+ * Matches definition items to the items of a form, by Item ID and then by type and title.
+ *
+ * @param {Array<GoogleAppsScript.Forms.Item>} formItems The form's items.
+ * @param {Array<Object>} defItems The definition items.
+ * @return {{ matches: Array<GoogleAppsScript.Forms.Item|null>, unmatched: Array<GoogleAppsScript.Forms.Item> }}
+ * The form item of each definition item (null when there is none), and the form items no definition item matched.
+ */
+function matchFormItems_(formItems, defItems) {
+  const free = formItems.slice();
+  const take = predicate => {
+    const index = free.findIndex(predicate);
+    return index === -1 ? null : free.splice(index, 1)[0];
+  };
+
+  const matches = defItems.map(def => def.id ? take(item => String(item.getId()) === String(def.id)) : null);
+  defItems.forEach((def, i) => {
+    if (!matches[i]) {
+      matches[i] = take(item => item.getType().name() === def.type && item.getTitle() === def.title);
+    }
+  });
+  return { matches: matches, unmatched: free };
+}
+
+/**
+ * Applies a definition to a form whose unmatched items have already been deleted.
+ *
+ * @param {GoogleAppsScript.Forms.Form} form The form.
+ * @param {{ settings: Object, items: Array<Object> }} definition The definition.
+ * @return {Array<string>} Warnings for items and settings that could not be applied.
+ */
+function applyFormDefinition_(form, definition) {
+  const warnings = [];
+  const matches = matchFormItems_(form.getItems(), definition.items).matches;
+
+  // First pass: create or update every item, without navigation, so that all sections exist.
+  // An item that fails partway is still listed, so that it is moved into place with the others.
+  const built = [];
+  definition.items.forEach((def, i) => {
+    const spec = FORM_ITEM_TYPES[def.type];
+    const label = `Item ${i + 1} '${def.title}' (${def.type})`;
+    const entry = { def: def, item: matches[i] || null, typed: null };
+    try {
+      if (!spec) {
+        if (matches[i]) {
+          matches[i].setTitle(def.title).setHelpText(def.helpText || '');
+        } else {
+          warnings.push(`${label} was skipped: this item type cannot be created by Apps Script.`);
+        }
+      } else {
+        entry.typed = matches[i] ? matches[i][spec.as]() : form[spec.add]();
+        entry.item = entry.item || entry.typed;
+        applyFormItem_(entry.typed, def, null);
+      }
+    } catch (e) {
+      warnings.push(`${label} was not fully applied: ${e.message}`);
+    }
+    if (entry.item) {
+      built.push(entry);
+    }
+  });
+
+  built.forEach((entry, index) => form.moveItem(form.getItemById(entry.item.getId()), index));
+
+  // Second pass: choice and section navigation, which needs the sections to exist.
+  const pages = {};
+  built.filter(entry => entry.def.type === 'PAGE_BREAK' && entry.typed).forEach(entry => {
+    pages[entry.def.title] = pages[entry.def.title] || entry.typed;
+  });
+  built.filter(entry => entry.typed && hasFormNavigation_(entry.def)).forEach(entry => {
+    try {
+      applyFormItem_(entry.typed, entry.def, pages);
+    } catch (e) {
+      warnings.push(`Navigation of '${entry.def.title}' was not applied: ${e.message}`);
+    }
+  });
+
+  Object.keys(definition.settings).forEach(key => {
+    if (!FORM_SETTINGS[key]) {
+      warnings.push(`Unknown form setting '${key}' was skipped.`);
+      return;
+    }
+    try {
+      form[FORM_SETTINGS[key][1]](definition.settings[key]);
+    } catch (e) {
+      warnings.push(`Form setting '${key}' was not applied: ${e.message}`);
+    }
+  });
+  return warnings;
+}
+
+/**
+ * Checks whether a definition item has choice or section navigation.
+ *
+ * @param {Object} def The definition item.
+ * @return {boolean} True if a choice or the section goes somewhere other than the next section.
+ */
+function hasFormNavigation_(def) {
+  return Boolean((def.details && def.details.goTo) || (def.choices || []).some(choice => choice.goTo));
+}
+
+/**
+ * Sets the title, help text, required flag, type-specific details and validation of an item.
+ *
+ * @param {Object} typed The item, cast to its type (e.g. a TextItem).
+ * @param {Object} def The definition item.
+ * @param {Object<string, GoogleAppsScript.Forms.PageBreakItem>} [pages] Sections by title. When given, only navigation is applied.
+ * @return {void} This function does not return a value.
+ * @throws {Error} If a value is invalid for the item type, a section is not found, or the validation rule is unknown.
+ */
+function applyFormItem_(typed, def, pages) {
+  const details = def.details || {};
+  const choices = def.choices || [];
+
+  if (pages) {
+    if (def.type === 'PAGE_BREAK') {
+      typed.setGoToPage(resolvePageNavigation_(details.goTo, pages));
+    } else if (def.type === 'MULTIPLE_CHOICE' || def.type === 'LIST') {
+      typed.setChoices(choices.map(choice => choice.goTo
+        ? typed.createChoice(String(choice.value), resolvePageNavigation_(choice.goTo, pages))
+        : typed.createChoice(String(choice.value))));
+    }
+    return;
+  }
+
+  typed.setTitle(def.title || '').setHelpText(def.helpText || '');
+  if (typeof typed.setRequired === 'function') {
+    typed.setRequired(Boolean(def.required));
+  }
+
+  switch (def.type) {
+    case 'MULTIPLE_CHOICE':
+    case 'CHECKBOX':
+    case 'LIST':
+      if (choices.length === 0) {
+        throw new Error('At least one choice is needed.');
+      }
+      typed.setChoices(choices.map(choice => typed.createChoice(String(choice.value))));
+      if (def.type !== 'LIST') {
+        typed.showOtherOption(Boolean(details.otherOption));
+      }
+      break;
+    case 'SCALE':
+      typed.setBounds(Number(details.lowerBound === undefined ? 1 : details.lowerBound), Number(details.upperBound === undefined ? 5 : details.upperBound));
+      typed.setLabels(details.leftLabel || '', details.rightLabel || '');
+      break;
+    case 'GRID':
+    case 'CHECKBOX_GRID':
+      typed.setRows(details.rows || []).setColumns(details.columns || []);
+      break;
+    case 'DATE':
+    case 'DATETIME':
+      typed.setIncludesYear(details.includesYear !== false);
+      break;
+  }
+
+  if (def.validation) {
+    const [rule, ...rest] = String(def.validation).split(':');
+    const builder = (FORM_VALIDATIONS[def.type] || {})[rule.trim()];
+    if (!builder) {
+      throw new Error(`Validation '${def.validation}' is not supported for ${def.type} items.`);
+    }
+    typed.setValidation(builder(rest.join(':')));
+  }
+}
+
+/**
+ * Resolves a navigation target to a section or a navigation type.
+ *
+ * @param {string} [goTo] A section title, 'SUBMIT', 'RESTART' or 'CONTINUE'; blank means continue.
+ * @param {Object<string, GoogleAppsScript.Forms.PageBreakItem>} pages Sections by title.
+ * @return {GoogleAppsScript.Forms.PageBreakItem|GoogleAppsScript.Forms.PageNavigationType} The target.
+ * @throws {Error} If no section has the title.
+ */
+function resolvePageNavigation_(goTo, pages) {
+  const target = String(goTo || 'CONTINUE').trim();
+  if (['SUBMIT', 'RESTART', 'CONTINUE'].includes(target)) {
+    return FormApp.PageNavigationType[target];
+  }
+  if (!pages[target]) {
+    throw new Error(`No section is titled '${target}'.`);
+  }
+  return pages[target];
+}
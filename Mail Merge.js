@@ -17,28 +17,57 @@
 // License for the specific language governing permissions and limitations under
 // the License.
 
+const MERGE_PREVIEW_TAB = 'Merge Preview';
+const GMAIL_DRAFTS_TAB = 'Gmail Drafts';
+
+// Optional per-row header columns that set the MailApp send options.
+const MERGE_OPTION_COLS = Object.freeze({
+  cc: 'CC',
+  bcc: 'BCC',
+  replyTo: 'Reply To',
+  name: 'From Name',
+  noReply: 'No Reply',
+  attachments: 'Attachments',
+  attachAsPdf: 'Attach As PDF',
+  template: 'Template'
+});
+
 /**
  * Sends emails to recipients based on data from a specified Google Sheet.
  * 
  * Retrieves recipient email addresses and the associated email sent status and 
  * uses a Gmail draft message as a template. Logs the status of sent emails directly
- * into the specified column. Prompts the user for missing header names if not provided.
+ * into the specified column, and the Gmail message and thread IDs of each send into the
+ * 'Message ID' and 'Thread ID' columns, which are added when missing. Prompts the user for
+ * missing header names if not provided.
+ * 
+ * Before sending, the recipients of every row are screened (see screenMergeRecipients_): a cell
+ * may list several addresses, rows with a malformed address or only suppressed addresses are
+ * skipped, and addresses already listed on an earlier row are handled by the dedupe policy.
+ * Each skipped row gets the reason in its sent-status cell. Suppressed CC and BCC addresses are
+ * dropped from the message.
+ * 
+ * A row whose optional 'Template' cell names a draft (see getGmailTemplateFromDrafts_) is sent
+ * with that draft instead of the one given by subjectLine. A row naming a missing draft fails
+ * with the error in its sent-status cell.
  * 
  * @param {string} [subjectLine] - Subject line for the email draft message. Optional; prompts if not provided.
  * @param {string} thisSheet - The Google Sheet file URL or ID with mail merge data.
  * @param {string} thisTab - The name of the tab within the Google Sheet with mail merge data.
  * @param {string} [emailRecipients] - Header of the column containing recipient email addresses. Optional; prompts if not provided.
  * @param {string} [emailSent] - Header of the column where email sent dates are logged. Optional; prompts if not provided.
+ * @param {boolean} [dryRun] - When true, renders eligible rows into the 'Merge Preview' tab instead of sending. Optional; defaults to false.
+ * @param {string} [dedupePolicy] - 'address', 'row' or 'none' (see screenMergeRecipients_). Optional; defaults to 'address'.
  * 
- * @return {void} This function does not return a value.
+ * @return {{ job: Object, outcome: string }|undefined} The batch job result, or undefined for a preview or invalid inputs.
  * 
  * @throws {Error} If the specified sheet, tab, or required headers do not exist.
  * 
  * @example
  * sendEmails("Weekly Update", "1B2c...xyr", "Mail Merge");
  */
-function sendEmails(subjectLine, thisSheet, thisTab, emailRecipients, emailSent) {
-  console.log(`Start sendEmails('${subjectLine}', '${thisSheet}', '${thisTab}', '${emailRecipients}', '${emailSent}')`);
+function sendEmails(subjectLine, thisSheet, thisTab, emailRecipients, emailSent, dryRun, dedupePolicy) {
+  console.log(`Start sendEmails('${subjectLine}', '${thisSheet}', '${thisTab}', '${emailRecipients}', '${emailSent}', '${dryRun}', '${dedupePolicy}')`);
   console.time(`sendEmails() processing time`);
 
   let activeSpreadsheet = SpreadsheetApp.getActiveSpreadsheet();
@@ -46,21 +75,28 @@ function sendEmails(subjectLine, thisSheet, thisTab, emailRecipients, emailSent)
   const RECIPIENT_COL = emailRecipients || getUserInput("Enter the HEADER NAME of the column of recipient email addresses:");
   const EMAIL_SENT_COL = emailSent || getUserInput("Enter the HEADER NAME of the column of email sent status:");
 
+  try {
+    dedupePolicy = normalizeMergeDedupePolicy_(dedupePolicy);
+  } catch (e) {
+    activeSpreadsheet.toast(`Email send failed: ${e.message}`);
+    console.error(`Abort script due to invalid dedupe policy: '${dedupePolicy}'`);
+    return;
+  }
+
   if (!subjectLine) {
-    subjectLine = Browser.inputBox("Mail Merge",
-      "Type or copy/paste the SUBJECT LINE of the Gmail " +
-      "draft message you would like to mail merge with:",
-      Browser.Buttons.OK_CANCEL);
-    if (subjectLine === "cancel" || subjectLine === "") {
+    subjectLine = getUserInput("Type or copy/paste the SUBJECT LINE of the Gmail " +
+      "draft message you would like to mail merge with:");
+    if (subjectLine === "") {
       console.error(`Abort script due to prompt response: '${subjectLine}'`);
       return;
     }
   }
 
+  let sheet;
   if (!thisSheet || !thisTab) {
     sheet = SpreadsheetApp.getActiveSheet();
   } else {
-    sheet = SpreadsheetApp.openById(getIdFromUrl(thisSheet)).getSheetByName(String(thisTab));
+    sheet = openSpreadsheet_(thisSheet).getSheetByName(String(thisTab));
     if (!sheet) {
       console.warn(`Sheet named '${thisTab}' was not found in '${thisSheet}'.`);
       sheet = SpreadsheetApp.getActiveSheet();
@@ -71,6 +107,11 @@ function sendEmails(subjectLine, thisSheet, thisTab, emailRecipients, emailSent)
   console.info(`Sending mail merge from '${sheet.getName()}' with subject: '${subjectLine}'`);
 
   const emailTemplate = getGmailTemplateFromDrafts_(subjectLine);
+  if (!emailTemplate) {
+    activeSpreadsheet.toast(`Email send failed: no Gmail draft found with subject '${subjectLine}'`);
+    console.error(`Abort script due to missing Gmail draft: '${subjectLine}'`);
+    return;
+  }
 
   const dataRange = sheet.getDataRange();
   const data = dataRange.getDisplayValues();
@@ -101,78 +142,433 @@ function sendEmails(subjectLine, thisSheet, thisTab, emailRecipients, emailSent)
 
   console.log(`Email sent column: '${emailSentColIdx}'`);
 
-  const emails = data.map(r => (heads.reduce((o, k, i) => (o[k] = r[i] || '', o), {})));
-
-  const sendResult = [];
+  if (dryRun) {
+    const emails = mapArraysToObjects(heads, data);
+    const suppression = loadSuppressionList_(sheet.getParent());
+    const screening = screenMergeRecipients_(sheet, emails, RECIPIENT_COL, EMAIL_SENT_COL, dedupePolicy, suppression);
+    const templateCache = newMergeTemplateCache_(subjectLine, emailTemplate);
+    const previewRows = [];
 
-  console.time("Total row processing time");
-  emails.forEach(function (row, rowIdx) {
-    if (row[RECIPIENT_COL] !== '' && row[EMAIL_SENT_COL] === '' && !sheet.isRowHiddenByFilter(rowIdx + 2)) {
-      console.time(`Row '${rowIdx + 2}' processing time `);
+    emails.forEach(function (row, rowIdx) {
+      if (!isMergeRowEligible_(sheet, row, rowIdx + 2, RECIPIENT_COL, EMAIL_SENT_COL)) {
+        return;
+      }
+      if (screening[rowIdx].reason) {
+        previewRows.push([rowIdx + 2, row[RECIPIENT_COL], '', '', '', '', '', '', '', screening[rowIdx].detail]);
+        return;
+      }
+      let msgObj = { subject: '', text: '' };
+      let unresolved = [];
+      let mailOptions = {};
+      let attachmentNames = [];
+      const problems = [];
+      let rowTemplate;
       try {
-        const msgObj = fillInTemplateFromObject_(emailTemplate.message, row);
-
-        MailApp.sendEmail(
-          row[RECIPIENT_COL],
-          msgObj.subject,
-          msgObj.text,
-          {
-            htmlBody: msgObj.html,
-            // bcc: 'a.bbc@email.com',
-            // cc: 'a.cc@email.com',
-            // name: 'name of the sender',
-            // replyTo: 'a.reply@email.com',
-            // noReply: true, // if the email should be sent from a generic no-reply email address (not available to gmail.com users)
-            attachments: emailTemplate.attachments,
-            inlineImages: emailTemplate.inlineImages
-          }
-        );
-        sendResult.push([new Date()]);
-        console.info(`INFO: Email sent to '${row[RECIPIENT_COL]}' (Row ${rowIdx + 2})`);
+        rowTemplate = getRowMergeTemplate_(templateCache, row);
       } catch (e) {
-        sendResult.push([e.message]);
-        console.error(`Failed to send email to '${row[RECIPIENT_COL]}' (Row ${rowIdx + 2}). Error: ${e.message}`);
-      } finally {
-        console.timeEnd(`Row '${rowIdx + 2}' processing time `);
+        previewRows.push([rowIdx + 2, screening[rowIdx].recipients, '', '', '', '', '', '', '', e.message]);
+        return;
       }
-    } else {
-      if (row[EMAIL_SENT_COL] !== '') {
-        console.log(`Skipping Row ${rowIdx + 2} - Email already sent.`);
+      try {
+        unresolved = findUnresolvedPlaceholders_(rowTemplate.message, row);
+        msgObj = fillInTemplateFromObject_(rowTemplate.message, row);
+      } catch (e) {
+        problems.push(e.message);
+      }
+      try {
+        mailOptions = dropSuppressedCopies_(buildMailOptions_(row, RECIPIENT_COL, rowTemplate), suppression, rowIdx + 2);
+      } catch (e) {
+        problems.push(e.message);
       }
-      if (sheet.isRowHiddenByFilter(rowIdx + 2)) {
-        console.log(`Skipping Row ${rowIdx + 2} - Row hidden by filter.`);
+      try {
+        attachmentNames = getRowAttachmentFiles_(row).map(file => file.getName());
+      } catch (e) {
+        problems.push(e.message);
       }
+      previewRows.push([
+        rowIdx + 2,
+        screening[rowIdx].recipients,
+        mailOptions.cc || '',
+        mailOptions.bcc || '',
+        mailOptions.replyTo || '',
+        msgObj.subject,
+        msgObj.text,
+        attachmentNames.join(', '),
+        unresolved.join(', '),
+        problems.join(' ')
+      ]);
+      console.info(`Preview rendered for '${row[RECIPIENT_COL]}' (Row ${rowIdx + 2})`);
+    });
+
+    writeMergePreview_(sheet.getParent(), previewRows);
+    activeSpreadsheet.toast(`Mail merge preview written for ${previewRows.length} row(s). No emails were sent.`);
+    console.timeEnd(`sendEmails() processing time`);
+    return;
+  }
+
+  const result = startBatchJob_('sendEmails', {
+    sheetId: sheet.getParent().getId(),
+    tabName: sheet.getName(),
+    subjectLine: subjectLine,
+    recipientCol: RECIPIENT_COL,
+    sentCol: EMAIL_SENT_COL,
+    dedupePolicy: dedupePolicy
+  });
+  activeSpreadsheet.toast(describeBatchOutcome_('Mail merge', result));
+
+  console.timeEnd(`sendEmails() processing time`);
+  return result;
+}
+
+/**
+ * Sends the next chunk of a mail merge batch job and writes each row's status to the sent column.
+ * 
+ * The sheet, headers and Gmail draft are loaded once per execution and cached in the context.
+ * Stops before a row when MailApp's remaining daily quota is less than the row's To, CC and BCC
+ * addresses, so the job can resume from that row once the quota resets. Emails are sent with GmailApp so that the message and
+ * thread IDs can be recorded for scanMergeReplies and sendFollowUps; rows with 'No Reply' set
+ * are sent with MailApp, which alone supports it, and get no IDs. Rows screened out by
+ * screenMergeRecipients_ get the reason in the sent column; other rows are sent to their
+ * screened addresses, without suppressed CC and BCC addresses. Jobs saved before screening existed use the default dedupe policy.
+ * Drafts named in the 'Template' column are looked up once per execution and cached.
+ * 
+ * @param {Object} job The batch job state created by sendEmails; job.cursor is the 0-based data row to start from.
+ * @param {Object} context Resources cached across chunks of the same execution.
+ * @return {string} One of the BATCH_OUTCOME values.
+ * 
+ * @throws {Error} If the merge sheet or the Gmail draft can no longer be found.
+ */
+function processMergeChunk_(job, context) {
+  const params = job.params;
+
+  if (!context.sheet) {
+    context.sheet = SpreadsheetApp.openById(params.sheetId).getSheetByName(params.tabName);
+    if (!context.sheet) {
+      throw new Error(`Sheet named '${params.tabName}' was not found in '${params.sheetId}'.`);
+    }
+    const data = context.sheet.getDataRange().getDisplayValues();
+    const heads = data.shift();
+    context.emails = mapArraysToObjects(heads, data);
+    context.sentColIdx = heads.indexOf(params.sentCol);
+    context.trackingCols = ensureHeaderColumns_(context.sheet, heads, [MERGE_TRACKING_COLS.messageId, MERGE_TRACKING_COLS.threadId]);
+    context.suppression = loadSuppressionList_(context.sheet.getParent());
+    context.screening = screenMergeRecipients_(context.sheet, context.emails, params.recipientCol, params.sentCol,
+      normalizeMergeDedupePolicy_(params.dedupePolicy), context.suppression);
+    context.drafts = GmailApp.getDrafts();
+    const template = getGmailTemplateFromDrafts_(params.subjectLine, context.drafts);
+    if (!template) {
+      throw new Error(`No Gmail draft found with subject '${params.subjectLine}'.`);
+    }
+    context.templates = newMergeTemplateCache_(params.subjectLine, template, context.drafts);
+  }
+
+  const sheet = context.sheet;
+  const RECIPIENT_COL = params.recipientCol;
+  const EMAIL_SENT_COL = params.sentCol;
+  const start = job.cursor;
+  const end = Math.min(start + BATCH_CHUNK_SIZE, context.emails.length);
+  const sendResult = [];
+  const trackingResult = [];
+  let outcome = BATCH_OUTCOME.MORE;
+
+  for (let rowIdx = start; rowIdx < end; rowIdx++) {
+    const row = context.emails[rowIdx];
+
+    const skipReason = getMergeSkipReason_(sheet, row, rowIdx + 2, RECIPIENT_COL, EMAIL_SENT_COL);
+    if (skipReason) {
+      console.log(`Skipping Row ${rowIdx + 2} - ${skipReason}.`);
       sendResult.push([row[EMAIL_SENT_COL]]);
+      trackingResult.push([row[MERGE_TRACKING_COLS.messageId] || '', row[MERGE_TRACKING_COLS.threadId] || '']);
+      job.skipped++;
+      noteRunRow_(job, rowIdx + 2, skipReason);
+      continue;
+    }
+
+    const screened = context.screening[rowIdx];
+    if (screened.reason) {
+      console.log(`Skipping Row ${rowIdx + 2} - ${screened.detail}.`);
+      sendResult.push([screened.detail]);
+      trackingResult.push(['', '']);
+      job.skipped++;
+      noteRunRow_(job, rowIdx + 2, screened.reason);
+      continue;
+    }
+
+    console.time(`Row '${rowIdx + 2}' processing time `);
+    try {
+      const emailTemplate = getRowMergeTemplate_(context.templates, row);
+      const msgObj = fillInTemplateFromObject_(emailTemplate.message, row);
+      const mailOptions = dropSuppressedCopies_(buildMailOptions_(row, RECIPIENT_COL, emailTemplate), context.suppression, rowIdx + 2);
+
+      // The quota counts every To, CC and BCC address, so stop before a row that would run out partway.
+      const recipientCount = [screened.recipients, mailOptions.cc, mailOptions.bcc]
+        .reduce((count, list) => count + parseEmailList_(list).length, 0);
+      if (MailApp.getRemainingDailyQuota() < recipientCount) {
+        console.warn(`MailApp daily quota too low for the ${recipientCount} recipient(s) of Row ${rowIdx + 2}.`);
+        outcome = BATCH_OUTCOME.QUOTA;
+        break;
+      }
+
+      const sendOptions = Object.assign(mailOptions, {
+        htmlBody: msgObj.html,
+        attachments: emailTemplate.attachments.concat(getRowAttachments_(row)),
+        inlineImages: emailTemplate.inlineImages
+      });
+
+      let message = null;
+      if (sendOptions.noReply) {
+        MailApp.sendEmail(screened.recipients, msgObj.subject, msgObj.text, sendOptions);
+      } else {
+        // A sent draft returns its message, unlike GmailApp.sendEmail.
+        const draft = GmailApp.createDraft(screened.recipients, msgObj.subject, msgObj.text, sendOptions);
+        try {
+          message = draft.send();
+        } catch (e) {
+          // A leftover draft has the rendered subject and could be picked up as a template later.
+          draft.deleteDraft();
+          throw e;
+        }
+      }
+      sendResult.push([new Date()]);
+      trackingResult.push(message ? [message.getId(), message.getThread().getId()] : ['', '']);
+      job.processed++;
+      console.info(`INFO: Email sent to '${screened.recipients}' (Row ${rowIdx + 2})`);
+    } catch (e) {
+      sendResult.push([e.message]);
+      trackingResult.push(['', '']);
+      job.failed++;
+      noteRunRow_(job, rowIdx + 2, e.message);
+      console.error(`Failed to send email to '${row[RECIPIENT_COL]}' (Row ${rowIdx + 2}). Error: ${e.message}`);
+    } finally {
+      console.timeEnd(`Row '${rowIdx + 2}' processing time `);
+    }
+  }
+
+  if (sendResult.length > 0) {
+    sheet.getRange(start + 2, context.sentColIdx + 1, sendResult.length).setValues(sendResult);
+    [MERGE_TRACKING_COLS.messageId, MERGE_TRACKING_COLS.threadId].forEach((header, i) => {
+      sheet.getRange(start + 2, context.trackingCols[header] + 1, trackingResult.length)
+        .setValues(trackingResult.map(ids => [ids[i]]));
+    });
+    console.log(`Finished writing outputs to rows ${start + 2} to ${start + sendResult.length + 1}.`);
+  }
+
+  job.cursor = start + sendResult.length;
+  if (outcome !== BATCH_OUTCOME.QUOTA && job.cursor >= context.emails.length) {
+    outcome = BATCH_OUTCOME.DONE;
+  }
+  return outcome;
+}
+
+/**
+ * Builds the per-row MailApp options (cc, bcc, replyTo, name, noReply) and validates every address.
+ * 
+ * Values come from the optional MERGE_OPTION_COLS header columns of the row. When a row leaves
+ * CC, BCC or Reply To blank, the value set on the Gmail draft is used instead.
+ * 
+ * @param {Object} row The row object keyed by header name.
+ * @param {?string} recipientCol Header of the column containing recipient email addresses; null skips the recipient check.
+ * @param {Object} emailTemplate The template returned by getGmailTemplateFromDrafts_.
+ * @return {Object} The MailApp options to merge into the sendEmail call; unset options are omitted.
+ * 
+ * @throws {Error} If the recipient or any cc, bcc or reply-to address is not a valid email address.
+ * 
+ * @example
+ * const options = buildMailOptions_({ 'Email': 'a@example.com', 'CC': 'b@example.com' }, 'Email', emailTemplate);
+ * // { cc: 'b@example.com', bcc: '...from the draft...' }
+ */
+function buildMailOptions_(row, recipientCol, emailTemplate) {
+  if (recipientCol) {
+    normalizeEmailList_(row[recipientCol], 'recipient');
+  }
+
+  const options = {};
+  const cc = normalizeEmailList_(row[MERGE_OPTION_COLS.cc] || emailTemplate.cc, 'CC');
+  const bcc = normalizeEmailList_(row[MERGE_OPTION_COLS.bcc] || emailTemplate.bcc, 'BCC');
+  const replyTo = normalizeEmailList_(row[MERGE_OPTION_COLS.replyTo] || emailTemplate.replyTo, 'Reply To');
+  const name = String(row[MERGE_OPTION_COLS.name] || '').trim();
+
+  if (cc) options.cc = cc;
+  if (bcc) options.bcc = bcc;
+  if (replyTo) options.replyTo = replyTo;
+  if (name) options.name = name;
+  // noReply is only available to Google Workspace accounts.
+  if (isTruthyCell_(row[MERGE_OPTION_COLS.noReply])) options.noReply = true;
+
+  return options;
+}
+
+/**
+ * Resolves the Drive files linked in a row's 'Attachments' column.
+ * 
+ * The cell may hold one or more Drive URLs or IDs separated by commas, semicolons or whitespace.
+ * 
+ * @param {Object} row The row object keyed by header name.
+ * @return {Array<GoogleAppsScript.Drive.File>} The linked files, in cell order; empty when the column is blank or missing.
+ * 
+ * @throws {Error} If a link does not resolve to a Drive file the user can open.
+ */
+function getRowAttachmentFiles_(row) {
+  const links = String(row[MERGE_OPTION_COLS.attachments] || '').split(/[\s,;]+/).filter(link => link !== '');
+  return links.map(link => {
+    try {
+      return openDriveFile_(link);
+    } catch (e) {
+      throw new Error(`Unable to open attachment '${link}': ${e.message}`);
     }
   });
-  console.timeEnd("Total row processing time");
+}
 
-  sheet.getRange(2, emailSentColIdx + 1, sendResult.length).setValues(sendResult);
-  console.log(`Finished writing outputs to rows.`);
+/**
+ * Builds the attachment blobs for a row from its 'Attachments' column.
+ * 
+ * Google Docs, Sheets and Slides files cannot be attached as-is: they are exported as PDF when
+ * the row's 'Attach As PDF' column is truthy, and to their Office format (docx, xlsx, pptx)
+ * otherwise. Any other file is attached unchanged.
+ * 
+ * @param {Object} row The row object keyed by header name.
+ * @return {Array<GoogleAppsScript.Base.Blob>} The blobs to attach in addition to the draft's attachments.
+ * 
+ * @throws {Error} If a link cannot be opened or exported.
+ */
+function getRowAttachments_(row) {
+  const asPdf = isTruthyCell_(row[MERGE_OPTION_COLS.attachAsPdf]);
+  return getRowAttachmentFiles_(row).map(file => {
+    const nativeFormat = NATIVE_EXPORT_FORMATS[file.getMimeType()];
+    if (nativeFormat) {
+      return exportDriveFile_(file, asPdf ? 'pdf' : nativeFormat);
+    }
+    return file.getBlob();
+  });
+}
 
-  console.timeEnd(`sendEmails() processing time`);
+/**
+ * Validates a comma or semicolon separated list of email addresses and returns it comma separated.
+ * 
+ * Entries may be bare addresses or use the 'Display Name <address>' form returned by Gmail.
+ * 
+ * @param {string} value The address list; blank values are allowed.
+ * @param {string} label A name for the field, used in the error message.
+ * @return {string} The addresses joined with commas, or an empty string for a blank value.
+ * 
+ * @throws {Error} If any entry is not a valid email address.
+ */
+function normalizeEmailList_(value, label) {
+  const addresses = parseEmailList_(value);
+  const invalid = addresses.filter(address => !isValidEmail_(address));
+  if (invalid.length > 0) {
+    throw new Error(`Invalid ${label} address: '${invalid.join(', ')}'`);
+  }
+  return addresses.join(',');
+}
+
+/**
+ * Checks whether a mail merge row should be sent, logging why it is skipped otherwise.
+ * 
+ * A row is eligible when it has a recipient, has no sent status yet and is not hidden by a filter.
+ * 
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The sheet containing the mail merge data.
+ * @param {Object} row The row object keyed by header name.
+ * @param {number} rowNumber The 1-based sheet row number of the row.
+ * @param {string} recipientCol Header of the column containing recipient email addresses.
+ * @param {string} sentCol Header of the column where email sent status is logged.
+ * @return {boolean} True if the row should be sent; otherwise false.
+ */
+function isMergeRowEligible_(sheet, row, rowNumber, recipientCol, sentCol) {
+  const reason = getMergeSkipReason_(sheet, row, rowNumber, recipientCol, sentCol);
+  if (reason) {
+    console.log(`Skipping Row ${rowNumber} - ${reason}.`);
+  }
+  return !reason;
+}
+
+/**
+ * Returns why a mail merge row is not sent, for the run log and console.
+ * 
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The sheet containing the mail merge data.
+ * @param {Object} row The row object keyed by header name.
+ * @param {number} rowNumber The 1-based sheet row number of the row.
+ * @param {string} recipientCol Header of the column containing recipient email addresses.
+ * @param {string} sentCol Header of the column where email sent status is logged.
+ * @return {string} The reason the row is skipped; an empty string if it should be sent.
+ */
+function getMergeSkipReason_(sheet, row, rowNumber, recipientCol, sentCol) {
+  if (sheet.isRowHiddenByFilter(rowNumber)) {
+    return 'Row hidden by filter';
+  }
+  if (row[sentCol] !== '') {
+    return 'Email already sent';
+  }
+  if (row[recipientCol] === '') {
+    return 'No recipient';
+  }
+  return '';
+}
+
+/**
+ * Runs the mail merge in preview mode without sending any email.
+ * 
+ * Applies the same skip rules as sendEmails (blank recipient, already sent, hidden by filter)
+ * and writes each eligible row's recipient, rendered subject, plain text body and any
+ * unresolved {{placeholders}} to the 'Merge Preview' tab, along with the cc, bcc and reply-to
+ * addresses and per-row attachments it would use, and any address or attachment errors. The sent-status column is not touched.
+ * 
+ * @param {string} [subjectLine] - Subject line for the email draft message. Optional; prompts if not provided.
+ * @param {string} [thisSheet] - The Google Sheet file URL or ID with mail merge data.
+ * @param {string} [thisTab] - The name of the tab within the Google Sheet with mail merge data.
+ * @param {string} [emailRecipients] - Header of the column containing recipient email addresses. Optional; prompts if not provided.
+ * @param {string} [emailSent] - Header of the column where email sent dates are logged. Optional; prompts if not provided.
+ * 
+ * @return {void} This function does not return a value.
+ * 
+ * @example
+ * previewEmails("Weekly Update", "1B2c...xyr", "Mail Merge");
+ */
+function previewEmails(subjectLine, thisSheet, thisTab, emailRecipients, emailSent) {
+  sendEmails(subjectLine, thisSheet, thisTab, emailRecipients, emailSent, true);
+}
+
+/**
+ * Writes rendered mail merge rows to the 'Merge Preview' tab, replacing any previous preview.
+ * 
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet The spreadsheet that receives the preview tab.
+ * @param {Array<Array<*>>} previewRows Rows of [row number, recipient, cc, bcc, reply to, subject, plain text, attachments, unresolved placeholders, errors].
+ * @return {void} This function does not return a value.
+ */
+function writeMergePreview_(spreadsheet, previewRows) {
+  const headers = ['Row', 'Recipient', 'CC', 'BCC', 'Reply To', 'Subject', 'Plain Text', 'Attachments', 'Unresolved Placeholders', 'Errors'];
+  const previewSheet = prepareReportTab_(spreadsheet, MERGE_PREVIEW_TAB, headers);
+
+  if (previewRows.length > 0) {
+    // Sheets cells hold at most 50,000 characters.
+    const rows = previewRows.map(r => r.map(v => String(v).slice(0, 50000)));
+    previewSheet.getRange(2, 1, rows.length, headers.length).setValues(rows);
+  }
+  console.log(`Wrote ${previewRows.length} preview row(s) to '${MERGE_PREVIEW_TAB}'`);
 }
 
 /**
- * Retrieves a Gmail draft message by matching the subject line.
+ * Retrieves a Gmail draft message to use as a mail merge template.
  * 
- * This function searches through the user's Gmail drafts for a message with a subject
- * line that matches the specified parameter. If a matching draft is found, it extracts
- * the subject, plain and HTML message body, and any attached files.
+ * The draft is named by its subject line, by its draft ID (bare or as 'id:<draft ID>'), or by
+ * a Gmail label on it as 'label:<label name>'. When several drafts match, the first is used and
+ * a warning is logged; an ID or a label tells them apart. The draft's subject, plain and HTML
+ * message body, and any attached files are extracted.
  *
- * @param {string} subject_line The subject line to search for the draft message.
- * @returns {{ message: { subject: string, text: string, html: string }, attachments: GoogleAppsScript.Gmail.GmailAttachment[], inlineImages: Object }} An object containing the subject, plain and HTML message body, and any attachments.
+ * @param {string} subject_line The subject line, draft ID or 'label:' reference of the draft.
+ * @param {Array<GoogleAppsScript.Gmail.GmailDraft>} [drafts] The drafts to search; fetched when not provided.
+ * @returns {{ message: { subject: string, text: string, html: string }, cc: string, bcc: string, replyTo: string, attachments: GoogleAppsScript.Gmail.GmailAttachment[], inlineImages: Object }} An object containing the subject, plain and HTML message body, the draft's cc, bcc and reply-to addresses, and any attachments.
  * 
  * @throws {Error} Throws an error if no matching draft is found or if there is an issue accessing the drafts.
 */
-function getGmailTemplateFromDrafts_(subject_line) {
-  console.info(`Searching for draft with subject line: '${subject_line}'`);
+function getGmailTemplateFromDrafts_(subject_line, drafts) {
+  console.info(`Searching for draft matching: '${subject_line}'`);
   try {
-    const drafts = GmailApp.getDrafts();
+    drafts = drafts || GmailApp.getDrafts();
     console.log(`Total drafts retrieved: ${drafts.length}`);
-    const draft = drafts.filter(subjectFilter_(subject_line))[0];
+    const draft = findGmailDraft_(drafts, subject_line);
     if (!draft) {
-      console.warn(`No draft found matching the subject line: '${subject_line}'`);
+      console.warn(`No draft found matching: '${subject_line}'`);
       return;
     } else {
       console.info(`Draft found with subject: '${draft.getMessage().getSubject()}'`);
@@ -193,14 +589,17 @@ function getGmailTemplateFromDrafts_(subject_line) {
 
     const inlineImagesObj = {};
     matches.forEach(match => inlineImagesObj[match[1]] = img_obj[match[2]]);
-    console.info(`Returning message details for subject: '${subject_line}'`);
+    console.info(`Returning message details for draft: '${subject_line}'`);
 
     return {
       message: {
-        subject: subject_line,
+        subject: msg.getSubject(),
         text: msg.getPlainBody(),
         html: htmlBody
       },
+      cc: msg.getCc(),
+      bcc: msg.getBcc(),
+      replyTo: msg.getReplyTo(),
       attachments: attachments,
       inlineImages: inlineImagesObj
     };
@@ -224,4 +623,111 @@ function subjectFilter_(subject_line) {
   return function (element) {
     return element.getMessage().getSubject() === subject_line;
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Finds the draft named by a subject line, a draft ID or a 'label:' reference.
+ * 
+ * @param {Array<GoogleAppsScript.Gmail.GmailDraft>} drafts The drafts to search.
+ * @param {string} reference A subject line, a draft ID, 'id:<draft ID>' or 'label:<label name>'.
+ * @return {GoogleAppsScript.Gmail.GmailDraft|undefined} The first matching draft, or undefined if none match.
+ * 
+ * @throws {Error} If a 'label:' reference names a label that does not exist.
+ * 
+ * @example
+ * const draft = findGmailDraft_(GmailApp.getDrafts(), 'label:Campaign/ES');
+ */
+function findGmailDraft_(drafts, reference) {
+  const prefixed = String(reference || '').match(/^\s*(id|label):\s*(.+?)\s*$/i);
+  let matches;
+  if (prefixed && prefixed[1].toLowerCase() === 'label') {
+    const label = GmailApp.getUserLabelByName(prefixed[2]);
+    if (!label) {
+      throw new Error(`Gmail label '${prefixed[2]}' was not found`);
+    }
+    const threadIds = {};
+    label.getThreads().forEach(thread => threadIds[thread.getId()] = true);
+    matches = drafts.filter(draft => threadIds[draft.getMessage().getThread().getId()]);
+  } else if (prefixed) {
+    matches = drafts.filter(draft => draft.getId() === prefixed[2]);
+  } else {
+    matches = drafts.filter(draft => draft.getId() === String(reference).trim());
+    if (matches.length === 0) {
+      matches = drafts.filter(subjectFilter_(reference));
+    }
+  }
+  if (matches.length > 1) {
+    console.warn(`${matches.length} drafts match '${reference}'; using the first. Name the draft by 'id:' or 'label:' to choose another.`);
+  }
+  return matches[0];
+}
+
+/**
+ * Creates the per-execution cache of mail merge templates, seeded with the merge's default draft.
+ * 
+ * @param {string} subjectLine The reference of the default draft.
+ * @param {Object} template The default template, from getGmailTemplateFromDrafts_.
+ * @param {Array<GoogleAppsScript.Gmail.GmailDraft>} [drafts] The drafts already fetched, if any.
+ * @return {{ defaultTemplate: Object, drafts: ?Array<GoogleAppsScript.Gmail.GmailDraft>, templates: Object }} The cache.
+ */
+function newMergeTemplateCache_(subjectLine, template, drafts) {
+  const templates = {};
+  templates[subjectLine] = template;
+  return { defaultTemplate: template, drafts: drafts || null, templates: templates };
+}
+
+/**
+ * Returns the template for a mail merge row: the draft named in its 'Template' cell, or the merge's default draft.
+ * 
+ * Drafts are fetched at most once per cache, and each named template is loaded once.
+ * 
+ * @param {Object} cache The cache from newMergeTemplateCache_.
+ * @param {Object} row The row object keyed by header name.
+ * @return {Object} The template, as returned by getGmailTemplateFromDrafts_.
+ * 
+ * @throws {Error} If the row names a draft that cannot be found, or a label that does not exist.
+ */
+function getRowMergeTemplate_(cache, row) {
+  const reference = String(row[MERGE_OPTION_COLS.template] || '').trim();
+  if (!reference) {
+    return cache.defaultTemplate;
+  }
+  if (!Object.prototype.hasOwnProperty.call(cache.templates, reference)) {
+    cache.drafts = cache.drafts || GmailApp.getDrafts();
+    // Failures are cached too, so every row naming a missing draft gets the same error without another lookup.
+    try {
+      const draft = findGmailDraft_(cache.drafts, reference);
+      cache.templates[reference] = (draft && getGmailTemplateFromDrafts_(draft.getId(), [draft])) ||
+        new Error(`No Gmail draft found for template '${reference}'`);
+    } catch (e) {
+      cache.templates[reference] = e;
+    }
+  }
+  if (cache.templates[reference] instanceof Error) {
+    throw cache.templates[reference];
+  }
+  return cache.templates[reference];
+}
+
+/**
+ * Lists the user's Gmail drafts with their draft IDs and labels in the 'Gmail Drafts' tab.
+ * 
+ * Use a draft ID or label from the list in a mail merge 'Template' column to tell apart drafts
+ * that share a subject line.
+ * 
+ * @return {void} This function does not return a value.
+ */
+function listGmailDrafts() {
+  const activeSpreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  const headers = ['Draft ID', 'Subject', 'Labels', 'To'];
+  const rows = GmailApp.getDrafts().map(draft => {
+    const message = draft.getMessage();
+    return [draft.getId(), message.getSubject(), message.getThread().getLabels().map(label => label.getName()).join(', '), message.getTo()];
+  });
+
+  const sheet = prepareReportTab_(activeSpreadsheet, GMAIL_DRAFTS_TAB, headers);
+  if (rows.length > 0) {
+    sheet.getRange(2, 1, rows.length, headers.length).setValues(rows);
+  }
+  activeSpreadsheet.toast(`Listed ${rows.length} draft(s) in the '${GMAIL_DRAFTS_TAB}' tab.`);
+}
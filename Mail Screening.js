@@ -0,0 +1,202 @@
+/**
+ * @OnlyCurrentDoc
+ * Indicates that this automation will only attempt to read or modify the spreadsheet this script is bound to.
+ * The authorization request message presented to users reflects the limited scope.
+ */
+
+const SUPPRESSION_TAB = 'Suppression';
+// How recipients listed on more than one row are handled; the first is the default.
+const MERGE_DEDUPE_POLICIES = ['address', 'row', 'none'];
+
+/**
+ * Checks the recipients of every mail merge row before anything is sent.
+ *
+ * Each recipient cell may list several addresses separated by commas, semicolons or line breaks.
+ * A row is skipped when any of its addresses is malformed, or when every address is on the
+ * 'Suppression' tab; suppressed addresses are otherwise dropped from the row. Addresses are
+ * compared in lower case, and an address belongs to the first row that will be sent to it or was
+ * already sent to it: a row that passes getMergeSkipReason_ and this screening, or a row whose
+ * sent-status cell holds a date or that has a Message ID. Rows that are hidden by a filter, or
+ * whose sent-status cell holds an error or a skip reason, claim no address. Later rows that list a
+ * claimed address are handled by the dedupe policy:
+ * - 'address' drops the address and skips the row when no address is left;
+ * - 'row' skips the whole row;
+ * - 'none' sends it again.
+ * The sent-status cells of earlier chunks hold dates or skip reasons by the time a job resumes,
+ * so a resumed job gets the same answer. CC and BCC addresses are not screened here; see
+ * dropSuppressedCopies_.
+ *
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The merge tab; its spreadsheet may have a 'Suppression' tab.
+ * @param {Array<Object>} emails The data rows keyed by header name, starting at sheet row 2.
+ * @param {string} recipientCol Header of the recipient column.
+ * @param {string} sentCol Header of the sent-status column.
+ * @param {string} dedupePolicy One of MERGE_DEDUPE_POLICIES.
+ * @param {{ addresses: Object<string, boolean>, domains: Object<string, boolean> }} [suppression] The list from
+ * loadSuppressionList_; loaded from the sheet's spreadsheet when omitted.
+ * @return {Array<{ recipients: string, reason: string, detail: string }>} One entry per row: the addresses to send to,
+ * joined with commas; and for a row to skip, a short reason for the run log and a detail for the sent-status cell.
+ * Rows that getMergeSkipReason_ skips get blank values and are left to it.
+ *
+ * @example
+ * const screening = screenMergeRecipients_(sheet, emails, 'Email', 'Email Sent', 'address');
+ * // [{ recipients: 'a@example.com,b@example.com', reason: '', detail: '' }, { recipients: '', reason: 'Duplicate recipient', ... }]
+ */
+function screenMergeRecipients_(sheet, emails, recipientCol, sentCol, dedupePolicy, suppression) {
+  suppression = suppression || loadSuppressionList_(sheet.getParent());
+  const heads = sheet.getRange(1, 1, 1, Math.max(sheet.getLastColumn(), 1)).getDisplayValues()[0];
+  // Sends write a Date to the sent-status cell; errors and skip reasons are text.
+  const sentValues = emails.length > 0
+    ? sheet.getRange(2, heads.indexOf(sentCol) + 1, emails.length).getValues().map(values => values[0])
+    : [];
+  const firstRows = {};
+  const claim = (addresses, rowNumber) => addresses.forEach(address => firstRows[address] = firstRows[address] || rowNumber);
+  const blank = { recipients: '', reason: '', detail: '' };
+
+  return emails.map((row, rowIdx) => {
+    const rowNumber = rowIdx + 2;
+    const addresses = parseEmailList_(row[recipientCol]);
+
+    if (sentValues[rowIdx] instanceof Date || row[MERGE_TRACKING_COLS.messageId]) {
+      claim(addresses.filter(isValidEmail_).map(normalizeEmailAddress_), rowNumber);
+      return blank;
+    }
+    if (addresses.length === 0 || getMergeSkipReason_(sheet, row, rowNumber, recipientCol, sentCol)) {
+      return blank;
+    }
+
+    const invalid = addresses.filter(address => !isValidEmail_(address));
+    if (invalid.length > 0) {
+      return { recipients: '', reason: 'Invalid recipient address', detail: `Skipped: invalid recipient address '${invalid.join(', ')}'` };
+    }
+
+    const unique = addresses.map(normalizeEmailAddress_).filter((address, i, all) => all.indexOf(address) === i);
+    const allowed = unique.filter(address => !isSuppressedAddress_(suppression, address));
+    if (allowed.length === 0) {
+      return { recipients: '', reason: 'Recipient suppressed', detail: `Skipped: recipient is on the '${SUPPRESSION_TAB}' tab` };
+    }
+    if (allowed.length < unique.length) {
+      console.log(`Row ${rowNumber}: dropped suppressed address(es) '${unique.filter(a => !allowed.includes(a)).join(', ')}'`);
+    }
+
+    const duplicates = allowed.filter(address => firstRows[address]);
+    let recipients = allowed;
+    if (duplicates.length > 0 && dedupePolicy !== 'none') {
+      recipients = dedupePolicy === 'row' ? [] : allowed.filter(address => !firstRows[address]);
+      if (recipients.length === 0) {
+        return { recipients: '', reason: 'Duplicate recipient', detail: `Skipped: duplicate recipient, already on row ${firstRows[duplicates[0]]}` };
+      }
+      console.log(`Row ${rowNumber}: dropped duplicate address(es) '${duplicates.join(', ')}'`);
+    }
+
+    claim(recipients, rowNumber);
+    return { recipients: recipients.join(','), reason: '', detail: '' };
+  });
+}
+
+/**
+ * Reads the 'Suppression' tab of a spreadsheet.
+ *
+ * Every cell of the tab may hold addresses, or a domain written as '@example.com' to suppress
+ * everyone at it. Cells that are neither, such as a header, are ignored.
+ *
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet The merge spreadsheet.
+ * @return {{ addresses: Object<string, boolean>, domains: Object<string, boolean> }} The lower-case addresses and domains;
+ * empty when the tab does not exist.
+ */
+function loadSuppressionList_(spreadsheet) {
+  const suppression = { addresses: {}, domains: {} };
+  const sheet = spreadsheet.getSheetByName(SUPPRESSION_TAB);
+  if (!sheet) {
+    return suppression;
+  }
+
+  sheet.getDataRange().getDisplayValues().forEach(values => values.forEach(value => {
+    parseEmailList_(value).map(normalizeEmailAddress_).forEach(entry => {
+      if (/^@[^\s@]+\.[^\s@]+$/.test(entry)) {
+        suppression.domains[entry.slice(1)] = true;
+      } else if (isValidEmail_(entry)) {
+        suppression.addresses[entry] = true;
+      }
+    });
+  }));
+  console.info(`Loaded ${Object.keys(suppression.addresses).length} address(es) and ` +
+    `${Object.keys(suppression.domains).length} domain(s) from the '${SUPPRESSION_TAB}' tab`);
+  return suppression;
+}
+
+/**
+ * Drops suppressed addresses from the CC and BCC of a message, whether they come from the row or the draft.
+ *
+ * Unlike the recipients, copies never cause a row to be skipped.
+ *
+ * @param {Object} options Mail options with comma-separated cc and bcc, as from buildMailOptions_; changed in place.
+ * @param {{ addresses: Object<string, boolean>, domains: Object<string, boolean> }} suppression The list from loadSuppressionList_.
+ * @param {number} rowNumber The sheet row, for the log.
+ * @return {Object} The options.
+ */
+function dropSuppressedCopies_(options, suppression, rowNumber) {
+  ['cc', 'bcc'].forEach(field => {
+    if (!options[field]) {
+      return;
+    }
+    const suppressed = findSuppressedAddresses_(suppression, options[field]);
+    if (suppressed.length === 0) {
+      return;
+    }
+    console.log(`Row ${rowNumber}: dropped suppressed ${field.toUpperCase()} address(es) '${suppressed.join(', ')}'`);
+    const allowed = parseEmailList_(options[field]).filter(address => !suppressed.includes(normalizeEmailAddress_(address)));
+    if (allowed.length > 0) {
+      options[field] = allowed.join(',');
+    } else {
+      delete options[field];
+    }
+  });
+  return options;
+}
+
+/**
+ * Lists the suppressed addresses in an address list.
+ *
+ * @param {{ addresses: Object<string, boolean>, domains: Object<string, boolean> }} suppression The list from loadSuppressionList_.
+ * @param {string} list Addresses separated by commas, semicolons or line breaks; 'Name <address>' entries are allowed.
+ * @return {Array<string>} The suppressed addresses, in lower case.
+ */
+function findSuppressedAddresses_(suppression, list) {
+  return parseEmailList_(list).map(normalizeEmailAddress_).filter(address => isSuppressedAddress_(suppression, address));
+}
+
+/**
+ * Checks an address against a suppression list.
+ *
+ * @param {{ addresses: Object<string, boolean>, domains: Object<string, boolean> }} suppression The list from loadSuppressionList_.
+ * @param {string} address A lower-case address.
+ * @return {boolean} True if the address or its domain is suppressed.
+ */
+function isSuppressedAddress_(suppression, address) {
+  return Boolean(suppression.addresses[address] || suppression.domains[address.split('@').pop()]);
+}
+
+/**
+ * Normalizes an email address for comparison.
+ *
+ * @param {string} address The address.
+ * @return {string} The trimmed, lower-case address.
+ */
+function normalizeEmailAddress_(address) {
+  return String(address).trim().toLowerCase();
+}
+
+/**
+ * Checks a dedupe policy entered by the user.
+ *
+ * @param {string} [policy] The policy; blank means 'address'.
+ * @return {string} One of MERGE_DEDUPE_POLICIES.
+ * @throws {Error} If the policy is not one of MERGE_DEDUPE_POLICIES.
+ */
+function normalizeMergeDedupePolicy_(policy) {
+  const normalized = String(policy || MERGE_DEDUPE_POLICIES[0]).trim().toLowerCase();
+  if (!MERGE_DEDUPE_POLICIES.includes(normalized)) {
+    throw new Error(`Unknown dedupe policy '${policy}'. Use ${MERGE_DEDUPE_POLICIES.join(', ')}.`);
+  }
+  return normalized;
+}
@@ -0,0 +1,341 @@
+/**
+ * @OnlyCurrentDoc
+ * Indicates that this automation will only attempt to read or modify the spreadsheet this script is bound to.
+ * The authorization request message presented to users reflects the limited scope.
+ */
+
+// Header columns that track each mail merge send. They are added to the tab when missing.
+const MERGE_TRACKING_COLS = Object.freeze({
+  messageId: 'Message ID',
+  threadId: 'Thread ID',
+  status: 'Reply Status',
+  followUp: 'Follow-up Sent'
+});
+const MERGE_REPLY_STATUS = Object.freeze({ replied: 'Replied', bounced: 'Bounced', noReply: 'No reply' });
+// Senders of delivery failure notices.
+const BOUNCE_SENDER_PATTERN = /^(mailer-daemon|postmaster)@/i;
+
+/**
+ * Checks the Gmail threads of a sent mail merge for replies and bounce notices.
+ *
+ * Each row with a Thread ID gets 'Replied', 'Bounced' or 'No reply' in its 'Reply Status'
+ * column, which is added when missing. A message in the thread from anyone other than you
+ * (or one of your Gmail aliases) is a reply; one from a mailer-daemon or postmaster address is
+ * a bounce. Bounce notices that Gmail did not thread with the original email are not seen.
+ * Rows already marked 'Replied' or 'Bounced' are not checked again.
+ *
+ * @param {string} [thisSheet] The Google Sheet file URL or ID with mail merge data. Defaults to the active spreadsheet.
+ * @param {string} [thisTab] The name of the tab with mail merge data. Defaults to the active tab.
+ * @return {{ job: Object, outcome: string }|undefined} The batch job result, or undefined if the inputs were invalid.
+ *
+ * @example
+ * scanMergeReplies("1B2c...xyr", "Mail Merge");
+ */
+function scanMergeReplies(thisSheet, thisTab) {
+  console.log(`Start scanMergeReplies('${thisSheet}', '${thisTab}')`);
+  console.time(`scanMergeReplies() time `);
+
+  const activeSpreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = getMergeTrackingSheet_(thisSheet, thisTab, 'Reply scan');
+  if (!sheet) {
+    return;
+  }
+
+  const result = startBatchJob_('mergeReplyScan', {
+    sheetId: sheet.getParent().getId(),
+    tabName: sheet.getName()
+  });
+  activeSpreadsheet.toast(describeBatchOutcome_('Reply scan', result));
+
+  console.timeEnd(`scanMergeReplies() time `);
+  return result;
+}
+
+/**
+ * Replies in each mail merge thread that has no reply yet, using a second Gmail draft.
+ *
+ * The follow-up draft is found by its subject, and its body is filled with each row's
+ * {{Header}} values like the first send. It is sent as a reply to all recipients of the
+ * original email, so it keeps the 'Re:' subject of the thread. Before each send the thread is
+ * checked again, and a row that has since been replied to or bounced gets that status instead.
+ * Rows without a Thread ID, with a 'Follow-up Sent' date, marked 'Replied' or 'Bounced', or
+ * hidden by a filter are skipped. The send time is written to the 'Follow-up Sent' column, or
+ * 'Error: ...' when the follow-up fails; those rows are tried again on the next run.
+ *
+ * Follow-ups are screened against the 'Suppression' tab like the first send: a thread whose To
+ * or CC lists a suppressed address gets a 'Skipped: ...' note instead of a reply, and is checked
+ * again on the next run. Suppressed BCC addresses of the draft are dropped.
+ *
+ * @param {string} [subjectLine] Subject line of the follow-up Gmail draft. Prompts if not provided.
+ * @param {string} [thisSheet] The Google Sheet file URL or ID with mail merge data. Defaults to the active spreadsheet.
+ * @param {string} [thisTab] The name of the tab with mail merge data. Defaults to the active tab.
+ * @return {{ job: Object, outcome: string }|undefined} The batch job result, or undefined if the inputs were invalid.
+ *
+ * @example
+ * sendFollowUps("Weekly Update - reminder", "1B2c...xyr", "Mail Merge");
+ */
+function sendFollowUps(subjectLine, thisSheet, thisTab) {
+  console.log(`Start sendFollowUps('${subjectLine}', '${thisSheet}', '${thisTab}')`);
+  console.time(`sendFollowUps() time `);
+
+  const activeSpreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  subjectLine = subjectLine || getUserInput("Type or copy/paste the SUBJECT LINE of the Gmail " +
+    "draft message to send as the follow-up:");
+  if (!subjectLine) {
+    console.error(`Abort script due to prompt response: '${subjectLine}'`);
+    return;
+  }
+  if (!getGmailTemplateFromDrafts_(subjectLine)) {
+    activeSpreadsheet.toast(`Follow-up failed: no Gmail draft found with subject '${subjectLine}'`);
+    console.error(`Abort script due to missing Gmail draft: '${subjectLine}'`);
+    return;
+  }
+
+  const sheet = getMergeTrackingSheet_(thisSheet, thisTab, 'Follow-up');
+  if (!sheet) {
+    return;
+  }
+
+  const result = startBatchJob_('mergeFollowUp', {
+    sheetId: sheet.getParent().getId(),
+    tabName: sheet.getName(),
+    subjectLine: subjectLine
+  });
+  activeSpreadsheet.toast(describeBatchOutcome_('Follow-up', result));
+
+  console.timeEnd(`sendFollowUps() time `);
+  return result;
+}
+
+/**
+ * Opens the mail merge tab and checks that it has a 'Thread ID' column.
+ *
+ * @param {string} [thisSheet] The spreadsheet URL or ID; defaults to the active spreadsheet.
+ * @param {string} [thisTab] The tab name; defaults to the active tab.
+ * @param {string} label The command name used in the toast.
+ * @return {GoogleAppsScript.Spreadsheet.Sheet|undefined} The tab, or undefined after showing why it cannot be used.
+ */
+function getMergeTrackingSheet_(thisSheet, thisTab, label) {
+  const activeSpreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  const spreadsheet = thisSheet ? openSpreadsheet_(thisSheet) : activeSpreadsheet;
+  const sheet = thisTab ? spreadsheet.getSheetByName(String(thisTab)) : SpreadsheetApp.getActiveSheet();
+  if (!sheet) {
+    activeSpreadsheet.toast(`${label} failed: tab '${thisTab}' was not found.`);
+    console.error(`Abort script due to missing tab: '${thisTab}'`);
+    return;
+  }
+
+  const heads = sheet.getRange(1, 1, 1, Math.max(sheet.getLastColumn(), 1)).getDisplayValues()[0];
+  if (!heads.includes(MERGE_TRACKING_COLS.threadId)) {
+    activeSpreadsheet.toast(`${label} failed due to missing column header: '${MERGE_TRACKING_COLS.threadId}'. Send the merge first.`);
+    console.error(`Abort script due to missing column header: '${MERGE_TRACKING_COLS.threadId}'`);
+    return;
+  }
+  return sheet;
+}
+
+/**
+ * Loads a mail merge tab for the tracking handlers and caches it in the context.
+ *
+ * @param {Object} job The batch job state; job.params holds sheetId and tabName.
+ * @param {Object} context Resources cached across chunks of the same execution.
+ * @param {Array<string>} headers The tracking headers to find or add.
+ * @return {void} This function does not return a value.
+ * @throws {Error} If the sheet can no longer be found.
+ */
+function loadMergeTrackingContext_(job, context, headers) {
+  context.sheet = SpreadsheetApp.openById(job.params.sheetId).getSheetByName(job.params.tabName);
+  if (!context.sheet) {
+    throw new Error(`Sheet named '${job.params.tabName}' was not found in '${job.params.sheetId}'.`);
+  }
+  const data = context.sheet.getDataRange().getDisplayValues();
+  const heads = data.shift();
+  context.rows = mapArraysToObjects(heads, data);
+  context.columns = ensureHeaderColumns_(context.sheet, heads, headers);
+  context.ownAddresses = [Session.getEffectiveUser().getEmail()].concat(GmailApp.getAliases())
+    .map(address => address.toLowerCase());
+}
+
+/**
+ * Scans the next chunk of rows for a mergeReplyScan batch job and writes each row's reply status.
+ *
+ * @param {Object} job The batch job state created by scanMergeReplies; job.cursor is the 0-based data row to start from.
+ * @param {Object} context Resources cached across chunks of the same execution.
+ * @return {string} One of the BATCH_OUTCOME values.
+ */
+function processReplyScanChunk_(job, context) {
+  if (!context.sheet) {
+    loadMergeTrackingContext_(job, context, [MERGE_TRACKING_COLS.status]);
+  }
+
+  const start = job.cursor;
+  const end = Math.min(start + BATCH_CHUNK_SIZE, context.rows.length);
+  const statuses = [];
+
+  for (let rowIdx = start; rowIdx < end; rowIdx++) {
+    const row = context.rows[rowIdx];
+    const status = row[MERGE_TRACKING_COLS.status] || '';
+    const threadId = row[MERGE_TRACKING_COLS.threadId];
+    if (!threadId || status === MERGE_REPLY_STATUS.replied || status === MERGE_REPLY_STATUS.bounced) {
+      statuses.push([status]);
+      job.skipped++;
+      noteRunRow_(job, rowIdx + 2, threadId ? `Already ${status.toLowerCase()}` : 'No Thread ID');
+      continue;
+    }
+
+    try {
+      const replyStatus = getThreadReplyStatus_(GmailApp.getThreadById(threadId), row[MERGE_TRACKING_COLS.messageId], context.ownAddresses);
+      statuses.push([replyStatus || MERGE_REPLY_STATUS.noReply]);
+      job.processed++;
+    } catch (e) {
+      statuses.push([`Error: ${e.message}`]);
+      job.failed++;
+      noteRunRow_(job, rowIdx + 2, e.message);
+      console.error(`Failed to scan the thread of Row ${rowIdx + 2}. Error: ${e.message}`);
+    }
+  }
+
+  if (statuses.length > 0) {
+    context.sheet.getRange(start + 2, context.columns[MERGE_TRACKING_COLS.status] + 1, statuses.length).setValues(statuses);
+  }
+  job.cursor = end;
+  return job.cursor >= context.rows.length ? BATCH_OUTCOME.DONE : BATCH_OUTCOME.MORE;
+}
+
+/**
+ * Sends the next chunk of follow-ups for a mergeFollowUp batch job.
+ *
+ * Stops before a row when MailApp's remaining daily quota is less than the number of addresses
+ * its reply-all would reach, so the job can resume from that row once the quota resets.
+ *
+ * @param {Object} job The batch job state created by sendFollowUps; job.cursor is the 0-based data row to start from.
+ * @param {Object} context Resources cached across chunks of the same execution.
+ * @return {string} One of the BATCH_OUTCOME values.
+ * @throws {Error} If the sheet or the follow-up draft can no longer be found.
+ */
+function processFollowUpChunk_(job, context) {
+  if (!context.sheet) {
+    loadMergeTrackingContext_(job, context, [MERGE_TRACKING_COLS.status, MERGE_TRACKING_COLS.followUp]);
+    context.template = getGmailTemplateFromDrafts_(job.params.subjectLine);
+    if (!context.template) {
+      throw new Error(`No Gmail draft found with subject '${job.params.subjectLine}'.`);
+    }
+    context.suppression = loadSuppressionList_(context.sheet.getParent());
+  }
+
+  const sheet = context.sheet;
+  const start = job.cursor;
+  const end = Math.min(start + BATCH_CHUNK_SIZE, context.rows.length);
+  const results = [];
+  let outcome = BATCH_OUTCOME.MORE;
+
+  for (let rowIdx = start; rowIdx < end; rowIdx++) {
+    const row = context.rows[rowIdx];
+    const status = row[MERGE_TRACKING_COLS.status] || '';
+    const followUp = row[MERGE_TRACKING_COLS.followUp] || '';
+    const skipReason = sheet.isRowHiddenByFilter(rowIdx + 2) ? 'Row hidden by filter'
+      : !row[MERGE_TRACKING_COLS.threadId] ? 'No Thread ID'
+      // A failed or screened-out follow-up leaves 'Error: ...' or 'Skipped: ...' in the cell and is tried again.
+      : followUp !== '' && !/^(Error|Skipped):/.test(followUp) ? 'Follow-up already sent'
+      : status === MERGE_REPLY_STATUS.replied || status === MERGE_REPLY_STATUS.bounced ? `Already ${status.toLowerCase()}` : '';
+    if (skipReason) {
+      results.push([status, followUp]);
+      job.skipped++;
+      noteRunRow_(job, rowIdx + 2, skipReason);
+      continue;
+    }
+
+    try {
+      const thread = GmailApp.getThreadById(row[MERGE_TRACKING_COLS.threadId]);
+      const replyStatus = getThreadReplyStatus_(thread, row[MERGE_TRACKING_COLS.messageId], context.ownAddresses);
+      if (replyStatus) {
+        results.push([replyStatus, followUp]);
+        job.skipped++;
+        noteRunRow_(job, rowIdx + 2, `${replyStatus} since the last scan`);
+        continue;
+      }
+
+      const messages = thread.getMessages();
+      const sent = messages.find(message => message.getId() === row[MERGE_TRACKING_COLS.messageId]) || messages[0];
+      // replyAll cannot leave anyone on the thread out, so a suppressed address holds back the whole follow-up.
+      const suppressed = findSuppressedAddresses_(context.suppression, [sent.getTo(), sent.getCc()].join(','));
+      if (suppressed.length > 0) {
+        results.push([status, `Skipped: recipient is on the '${SUPPRESSION_TAB}' tab`]);
+        job.skipped++;
+        noteRunRow_(job, rowIdx + 2, 'Recipient suppressed');
+        console.log(`Skipping Row ${rowIdx + 2} - suppressed address(es) '${suppressed.join(', ')}' on the thread.`);
+        continue;
+      }
+
+      const msgObj = fillInTemplateFromObject_(context.template.message, row);
+      // The original recipients and cc addresses are already on the thread.
+      const options = dropSuppressedCopies_(buildMailOptions_(row, null, context.template), context.suppression, rowIdx + 2);
+      delete options.cc;
+
+      // replyAll reaches every To and CC address of the sent message, plus the draft's BCC.
+      const recipientCount = [sent.getTo(), sent.getCc(), options.bcc]
+        .reduce((count, list) => count + parseEmailList_(list).length, 0);
+      if (MailApp.getRemainingDailyQuota() < recipientCount) {
+        console.warn(`MailApp daily quota too low for the ${recipientCount} recipient(s) of Row ${rowIdx + 2}.`);
+        outcome = BATCH_OUTCOME.QUOTA;
+        break;
+      }
+      sent.replyAll(msgObj.text, Object.assign(options, {
+        htmlBody: msgObj.html,
+        attachments: context.template.attachments,
+        inlineImages: context.template.inlineImages
+      }));
+      results.push([status || MERGE_REPLY_STATUS.noReply, new Date()]);
+      job.processed++;
+      console.info(`Follow-up sent in the thread of Row ${rowIdx + 2}`);
+    } catch (e) {
+      results.push([status, `Error: ${e.message}`]);
+      job.failed++;
+      noteRunRow_(job, rowIdx + 2, e.message);
+      console.error(`Failed to send the follow-up for Row ${rowIdx + 2}. Error: ${e.message}`);
+    }
+  }
+
+  if (results.length > 0) {
+    [MERGE_TRACKING_COLS.status, MERGE_TRACKING_COLS.followUp].forEach((header, i) => {
+      sheet.getRange(start + 2, context.columns[header] + 1, results.length).setValues(results.map(r => [r[i]]));
+    });
+  }
+
+  job.cursor = start + results.length;
+  if (outcome !== BATCH_OUTCOME.QUOTA && job.cursor >= context.rows.length) {
+    outcome = BATCH_OUTCOME.DONE;
+  }
+  return outcome;
+}
+
+/**
+ * Looks for replies and bounce notices after a sent message in its Gmail thread.
+ *
+ * @param {GoogleAppsScript.Gmail.GmailThread} thread The thread of the sent email.
+ * @param {string} [messageId] The ID of the sent message; messages before it are ignored. Defaults to the first message.
+ * @param {Array<string>} ownAddresses Your lowercase addresses, whose messages are not replies.
+ * @return {string} 'Bounced' if any later message is a bounce notice, otherwise 'Replied' if any is from someone else, otherwise ''.
+ * @throws {Error} If the thread cannot be found.
+ */
+function getThreadReplyStatus_(thread, messageId, ownAddresses) {
+  if (!thread) {
+    throw new Error('Thread not found.');
+  }
+  const messages = thread.getMessages();
+  const sentIdx = Math.max(messages.findIndex(message => message.getId() === messageId), 0);
+
+  let status = '';
+  messages.slice(sentIdx + 1).forEach(message => {
+    if (message.isDraft()) {
+      return;
+    }
+    const from = (parseEmailList_(message.getFrom())[0] || '').toLowerCase();
+    if (BOUNCE_SENDER_PATTERN.test(from)) {
+      status = MERGE_REPLY_STATUS.bounced;
+    } else if (!ownAddresses.includes(from) && status !== MERGE_REPLY_STATUS.bounced) {
+      status = MERGE_REPLY_STATUS.replied;
+    }
+  });
+  return status;
+}
@@ -0,0 +1,193 @@
+/**
+ * @OnlyCurrentDoc
+ * Indicates that this automation will only attempt to read or modify the spreadsheet this script is bound to.
+ * The authorization request message presented to users reflects the limited scope.
+ */
+
+const RUN_LOG_TAB = 'Run Log';
+const RUN_LOG_HEADERS = ['Run ID', 'Utility', 'User', 'Started', 'Ended', 'Status', 'Parameters',
+  'Processed', 'Skipped', 'Failed', 'Details'];
+const RUN_LOG_EMAIL_PROPERTY = 'runLog:emailSummary';
+// Batch jobs keep their run record in a user property, which holds at most 9 KB,
+// so reasons are capped and their text shortened.
+const RUN_LOG_MAX_REASONS = 20;
+const RUN_LOG_MAX_ROWS_PER_REASON = 50;
+const RUN_LOG_MAX_REASON_LENGTH = 120;
+// Sheets cells hold at most 50,000 characters.
+const RUN_LOG_MAX_CELL_LENGTH = 50000;
+
+/**
+ * Starts a run record for a utility. Pass it to noteRunRow_ and finishRunLog_.
+ *
+ * The counters can be incremented directly. The record is written to the 'Run Log' tab of the
+ * spreadsheet that was active when the run started, or of params.sheetId when none is active.
+ *
+ * @param {string} utility The utility or batch job type, e.g. 'copyFiles'.
+ * @param {Object} [params] The parameters of the run, recorded as JSON.
+ * @return {Object} The run record.
+ *
+ * @example
+ * const run = newRunLog_('copyFolders', { foldersTabName: 'Clients' });
+ * run.processed++;
+ * finishRunLog_(run, 'Done');
+ */
+function newRunLog_(utility, params) {
+  const activeSpreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  const run = {
+    id: Utilities.getUuid(),
+    utility: utility,
+    user: Session.getActiveUser().getEmail() || Session.getEffectiveUser().getEmail(),
+    startedAt: new Date().toISOString(),
+    params: params || {},
+    processed: 0,
+    skipped: 0,
+    failed: 0,
+    reasons: {},
+    logSpreadsheetId: activeSpreadsheet ? activeSpreadsheet.getId() : ((params && params.sheetId) || '')
+  };
+  console.info(`Run '${run.id}' of '${utility}' started by '${run.user}'`);
+  return run;
+}
+
+/**
+ * Records why a row was skipped or failed, grouping rows by reason.
+ *
+ * Accepts a run record or a batch job state. Does nothing for records without reasons, such as
+ * batch jobs saved before run logging existed.
+ *
+ * @param {Object} run The run record or batch job state.
+ * @param {number} rowNumber The 1-based sheet row number.
+ * @param {string} reason Why the row was skipped or failed.
+ * @return {void} This function does not return a value.
+ */
+function noteRunRow_(run, rowNumber, reason) {
+  if (!run || !run.reasons) {
+    return;
+  }
+  let key = String(reason).slice(0, RUN_LOG_MAX_REASON_LENGTH);
+  if (!run.reasons[key] && Object.keys(run.reasons).length >= RUN_LOG_MAX_REASONS) {
+    key = 'Other reasons';
+  }
+  const entry = run.reasons[key] || (run.reasons[key] = { rows: [], more: 0 });
+  if (entry.rows.length < RUN_LOG_MAX_ROWS_PER_REASON) {
+    entry.rows.push(rowNumber);
+  } else {
+    entry.more++;
+  }
+}
+
+/**
+ * Finishes a run: logs a summary to the console, appends it to the 'Run Log' tab and, when
+ * enabled, emails it to the user who ran it.
+ *
+ * Failures to write the log or send the email are logged and never interrupt the utility.
+ *
+ * @param {Object} run The record returned by newRunLog_.
+ * @param {string} status The final status, e.g. 'Done' or 'Failed'.
+ * @param {string} [error] The error that ended the run, if any.
+ * @return {void} This function does not return a value.
+ */
+function finishRunLog_(run, status, error) {
+  const endedAt = new Date();
+  const details = [formatRunReasons_(run.reasons), error ? `Error: ${error}` : ''].filter(text => text).join('\n');
+  const counts = `${run.processed} processed, ${run.skipped} skipped, ${run.failed} failed`;
+  console.info(`Run '${run.id}' of '${run.utility}' ended with status '${status}': ${counts}`);
+
+  try {
+    if (run.logSpreadsheetId) {
+      const spreadsheet = SpreadsheetApp.openById(run.logSpreadsheetId);
+      let sheet = spreadsheet.getSheetByName(RUN_LOG_TAB);
+      if (!sheet) {
+        sheet = spreadsheet.insertSheet(RUN_LOG_TAB);
+        sheet.getRange(1, 1, 1, RUN_LOG_HEADERS.length).setValues([RUN_LOG_HEADERS]).setFontWeight('bold');
+        sheet.setFrozenRows(1);
+      }
+      sheet.appendRow([
+        run.id,
+        run.utility,
+        run.user,
+        new Date(run.startedAt),
+        endedAt,
+        status,
+        JSON.stringify(run.params).slice(0, RUN_LOG_MAX_CELL_LENGTH),
+        run.processed,
+        run.skipped,
+        run.failed,
+        details.slice(0, RUN_LOG_MAX_CELL_LENGTH)
+      ]);
+    }
+  } catch (e) {
+    console.error(`Failed to write run '${run.id}' to the '${RUN_LOG_TAB}' tab. Error: ${e.message}`);
+  }
+
+  if (run.user && PropertiesService.getUserProperties().getProperty(RUN_LOG_EMAIL_PROPERTY) === 'true') {
+    try {
+      MailApp.sendEmail(run.user, `${run.utility}: ${status} (${counts})`,
+        `Utility: ${run.utility}\nStarted: ${new Date(run.startedAt)}\nEnded: ${endedAt}\nStatus: ${status}\n` +
+        `Processed: ${run.processed}\nSkipped: ${run.skipped}\nFailed: ${run.failed}\n\n` +
+        `Parameters: ${JSON.stringify(run.params)}\n\n${details}`);
+    } catch (e) {
+      console.error(`Failed to email the summary of run '${run.id}'. Error: ${e.message}`);
+    }
+  }
+}
+
+/**
+ * Finishes the run record of a batch job that is done or failed.
+ *
+ * @param {Object} job The batch job state.
+ * @param {string} outcome BATCH_OUTCOME.DONE or BATCH_OUTCOME.FAILED.
+ * @return {void} This function does not return a value.
+ */
+function finishBatchRunLog_(job, outcome) {
+  finishRunLog_({
+    id: job.id,
+    utility: job.type,
+    user: job.user || '',
+    startedAt: job.createdAt,
+    params: job.params,
+    processed: job.processed,
+    skipped: job.skipped,
+    failed: job.failed,
+    reasons: job.reasons || {},
+    logSpreadsheetId: job.logSpreadsheetId || job.params.sheetId || ''
+  }, outcome === BATCH_OUTCOME.DONE ? 'Done' : 'Failed', job.error);
+}
+
+/**
+ * Turns the summary email sent at the end of each run on or off for the current user.
+ *
+ * @return {void} This function does not return a value.
+ */
+function toggleRunSummaryEmails() {
+  const properties = PropertiesService.getUserProperties();
+  const enabled = properties.getProperty(RUN_LOG_EMAIL_PROPERTY) !== 'true';
+  properties.setProperty(RUN_LOG_EMAIL_PROPERTY, String(enabled));
+  SpreadsheetApp.getActiveSpreadsheet().toast(enabled
+    ? 'A summary email will be sent to you at the end of each run.'
+    : 'Run summary emails are turned off.');
+}
+
+/**
+ * Formats grouped row reasons, e.g. 'Email already sent: rows 2-5, 9'.
+ *
+ * @param {Object} reasons The reasons recorded by noteRunRow_.
+ * @return {string} One line per reason; empty if there are none.
+ */
+function formatRunReasons_(reasons) {
+  return Object.keys(reasons || {}).map(reason => {
+    const entry = reasons[reason];
+    const ranges = [];
+    entry.rows.forEach(rowNumber => {
+      const last = ranges[ranges.length - 1];
+      if (last && rowNumber === last[1] + 1) {
+        last[1] = rowNumber;
+      } else {
+        ranges.push([rowNumber, rowNumber]);
+      }
+    });
+    const rows = ranges.map(r => (r[0] === r[1] ? `${r[0]}` : `${r[0]}-${r[1]}`)).join(', ');
+    const more = entry.more > 0 ? ` and ${entry.more} more` : '';
+    return `${reason}: row${entry.rows.length + entry.more === 1 ? '' : 's'} ${rows}${more}`;
+  }).join('\n');
+}
@@ -0,0 +1,216 @@
+/**
+ * @OnlyCurrentDoc
+ * Indicates that this automation will only attempt to read or modify the spreadsheet this script is bound to.
+ * The authorization request message presented to users reflects the limited scope.
+ */
+
+const SAVED_JOBS_TAB = 'Jobs';
+const SAVED_JOBS_HEADERS = ['Job Name', 'Type', 'Source', 'Destination', 'Spreadsheet', 'Tab', 'Range',
+  'Name Header', 'URL Column', 'Recipient Header', 'Sent Header', 'Fill Template', 'Last Run', 'Last Result', 'Duplicate Policy', 'Dedupe Policy'];
+
+/**
+ * The job types a saved job can run, with the columns each one requires.
+ *
+ * Source is the template file for copies and the Gmail draft subject for a mail merge.
+ * URL Column is a header name or a 1-based column number. A blank Spreadsheet means this one.
+ * Duplicate Policy (skip, overwrite or suffix) applies to copyFiles and createCopies; blank means skip.
+ * Dedupe Policy (address, row or none) applies to sendEmails; blank means address.
+ * Both come after Last Result so that 'Jobs' tabs created before them keep working without them.
+ */
+const SAVED_JOB_TYPES = Object.freeze({
+  copyFiles: ['Source', 'Destination', 'Tab', 'Range', 'URL Column'],
+  copyFolders: ['Destination', 'Tab', 'Range', 'URL Column'],
+  createCopies: ['Source', 'Destination', 'Tab', 'Name Header', 'URL Column'],
+  sendEmails: ['Source', 'Tab', 'Recipient Header', 'Sent Header']
+});
+
+/**
+ * Creates the 'Jobs' tab with its header row, Type and policy dropdowns and a Fill Template checkbox column.
+ *
+ * An existing 'Jobs' tab is left as it is.
+ *
+ * @return {void} This function does not return a value.
+ */
+function setUpJobsTab() {
+  const activeSpreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  if (activeSpreadsheet.getSheetByName(SAVED_JOBS_TAB)) {
+    activeSpreadsheet.toast(`The '${SAVED_JOBS_TAB}' tab already exists.`);
+    return;
+  }
+
+  const sheet = activeSpreadsheet.insertSheet(SAVED_JOBS_TAB);
+  sheet.getRange(1, 1, 1, SAVED_JOBS_HEADERS.length).setValues([SAVED_JOBS_HEADERS]).setFontWeight('bold');
+  sheet.setFrozenRows(1);
+
+  const rows = sheet.getMaxRows() - 1;
+  const typeRule = SpreadsheetApp.newDataValidation().requireValueInList(Object.keys(SAVED_JOB_TYPES), true).build();
+  sheet.getRange(2, SAVED_JOBS_HEADERS.indexOf('Type') + 1, rows, 1).setDataValidation(typeRule);
+  sheet.getRange(2, SAVED_JOBS_HEADERS.indexOf('Fill Template') + 1, rows, 1).insertCheckboxes();
+  const policyRule = SpreadsheetApp.newDataValidation().requireValueInList(['skip', 'overwrite', 'suffix'], true).build();
+  sheet.getRange(2, SAVED_JOBS_HEADERS.indexOf('Duplicate Policy') + 1, rows, 1).setDataValidation(policyRule);
+  const dedupeRule = SpreadsheetApp.newDataValidation().requireValueInList(MERGE_DEDUPE_POLICIES, true).build();
+  sheet.getRange(2, SAVED_JOBS_HEADERS.indexOf('Dedupe Policy') + 1, rows, 1).setDataValidation(dedupeRule);
+
+  activeSpreadsheet.toast(`Created the '${SAVED_JOBS_TAB}' tab. Add one row per job, then use 'Run saved job'.`);
+}
+
+/**
+ * Runs a saved job from the 'Jobs' tab without prompting for its settings.
+ *
+ * The job on the selected row of the 'Jobs' tab is run. When another tab is active, the user is
+ * asked for the job name. The time and result of the run are written to the job's
+ * Last Run and Last Result cells.
+ *
+ * @return {void} This function does not return a value.
+ */
+function runSelectedJob() {
+  console.log(`Start runSelectedJob()`);
+  const activeSpreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  const activeSheet = activeSpreadsheet.getActiveSheet();
+
+  let jobName = '';
+  if (activeSheet.getName() === SAVED_JOBS_TAB && activeSheet.getActiveCell().getRow() > 1) {
+    jobName = activeSheet.getRange(activeSheet.getActiveCell().getRow(), SAVED_JOBS_HEADERS.indexOf('Job Name') + 1).getDisplayValue();
+  }
+  jobName = jobName || getUserInput('Enter the name of the saved job to run');
+  if (!jobName) {
+    console.error(`User input for jobName was invalid or canceled.`);
+    return;
+  }
+
+  try {
+    activeSpreadsheet.toast(runSavedJob_(activeSpreadsheet, jobName));
+  } catch (e) {
+    activeSpreadsheet.toast(`Saved job '${jobName}' failed: ${e.message}`);
+    console.error(`Saved job '${jobName}' failed. Error: ${e.message}`);
+  }
+}
+
+/**
+ * Runs the saved job with the given name and records its result on the 'Jobs' tab.
+ *
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet The spreadsheet that holds the 'Jobs' tab.
+ * @param {string} jobName The Job Name of the row to run.
+ * @return {string} A summary of the run.
+ * @throws {Error} If the tab or job does not exist, or the job fails. Failures are also written to Last Result.
+ */
+function runSavedJob_(spreadsheet, jobName) {
+  const saved = readSavedJobs_(spreadsheet).find(job => job.values['Job Name'] === jobName);
+  if (!saved) {
+    throw new Error(`No saved job named '${jobName}' was found on the '${SAVED_JOBS_TAB}' tab.`);
+  }
+
+  const resultRange = saved.sheet.getRange(saved.row, SAVED_JOBS_HEADERS.indexOf('Last Run') + 1, 1, 2);
+  try {
+    const message = executeSavedJob_(saved.values);
+    resultRange.setValues([[new Date(), message]]);
+    return message;
+  } catch (e) {
+    resultRange.setValues([[new Date(), `Error: ${e.message}`]]);
+    throw e;
+  }
+}
+
+/**
+ * Reads every named job from the 'Jobs' tab.
+ *
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet The spreadsheet that holds the 'Jobs' tab.
+ * @return {Array<{ sheet: GoogleAppsScript.Spreadsheet.Sheet, row: number, values: Object }>} The jobs, with their 1-based row and values keyed by header.
+ * @throws {Error} If the 'Jobs' tab does not exist.
+ */
+function readSavedJobs_(spreadsheet) {
+  const sheet = spreadsheet.getSheetByName(SAVED_JOBS_TAB);
+  if (!sheet) {
+    throw new Error(`The '${SAVED_JOBS_TAB}' tab does not exist. Run 'Set up Jobs tab' first.`);
+  }
+
+  const data = sheet.getDataRange().getDisplayValues();
+  const heads = data.shift();
+  return mapArraysToObjects(heads, data)
+    .map((values, i) => ({ sheet: sheet, row: i + 2, values: values }))
+    .filter(job => String(job.values['Job Name']).trim() !== '');
+}
+
+/**
+ * Runs one saved job with the matching utility, passing every setting so that nothing is prompted for.
+ *
+ * @param {Object} values The job row keyed by SAVED_JOBS_HEADERS.
+ * @return {string} A summary of the run.
+ * @throws {Error} If the type is unknown, a required column is blank, or the target tab is missing.
+ */
+function executeSavedJob_(values) {
+  const type = String(values['Type']).trim();
+  const required = SAVED_JOB_TYPES[type];
+  if (!required) {
+    throw new Error(`Unknown job type '${type}'. Use one of: ${Object.keys(SAVED_JOB_TYPES).join(', ')}.`);
+  }
+  const missing = required.filter(header => String(values[header] || '').trim() === '');
+  if (missing.length > 0) {
+    throw new Error(`Job '${values['Job Name']}' is missing: ${missing.join(', ')}.`);
+  }
+  console.log(`Running saved job '${values['Job Name']}' of type '${type}'`);
+
+  const spreadsheet = values['Spreadsheet']
+    ? openSpreadsheet_(values['Spreadsheet'])
+    : SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = spreadsheet.getSheetByName(values['Tab']);
+  if (!sheet) {
+    throw new Error(`Tab '${values['Tab']}' was not found in '${spreadsheet.getName()}'.`);
+  }
+
+  let result;
+  switch (type) {
+    case 'copyFiles': {
+      const count = copyFiles(values['Source'], spreadsheet.getUrl(), values['Tab'], values['Range'],
+        values['Destination'], resolveSavedJobColumn_(sheet, values['URL Column']).number, values['Duplicate Policy'] || '');
+      return `Created ${count} file(s).`;
+    }
+    case 'copyFolders': {
+      const count = copyFolders(spreadsheet.getUrl(), values['Tab'], values['Range'],
+        resolveSavedJobColumn_(sheet, values['URL Column']).number, values['Destination']);
+      return `Created or found ${count} folder path(s).`;
+    }
+    case 'createCopies':
+      result = createCopies(values['Source'], values['Destination'], spreadsheet.getUrl(), values['Tab'], '', '',
+        '', '', isTruthyCell_(values['Fill Template']), values['Name Header'], resolveSavedJobColumn_(sheet, values['URL Column'], true).header,
+        undefined, values['Duplicate Policy'] || '');
+      break;
+    case 'sendEmails':
+      result = sendEmails(values['Source'], spreadsheet.getUrl(), values['Tab'], values['Recipient Header'], values['Sent Header'], false,
+        values['Dedupe Policy'] || '');
+      break;
+  }
+
+  if (!result) {
+    throw new Error(`${type} stopped before starting. See the execution log for details.`);
+  }
+  return describeBatchOutcome_(values['Job Name'], result);
+}
+
+/**
+ * Resolves the URL Column of a saved job, which may be a header name or a 1-based column number.
+ *
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The tab the job reads and writes.
+ * @param {string} value The URL Column cell.
+ * @param {boolean} [requireHeader] True for jobs that address the column by header, such as createCopies.
+ * @return {{ number: number, header: string }} The 1-based column number and its header.
+ * @throws {Error} If a header name is not found in the first row of the tab, or if requireHeader is set
+ * and the numbered column has a blank header, which would make the job prompt for it.
+ */
+function resolveSavedJobColumn_(sheet, value, requireHeader) {
+  const heads = sheet.getRange(1, 1, 1, Math.max(sheet.getLastColumn(), 1)).getDisplayValues()[0];
+  const text = String(value).trim();
+
+  if (/^\d+$/.test(text)) {
+    const header = heads[Number(text) - 1] || '';
+    if (requireHeader && !header) {
+      throw new Error(`Column ${text} on tab '${sheet.getName()}' has no header. Add one, or put a header name in URL Column.`);
+    }
+    return { number: Number(text), header: header };
+  }
+  const index = heads.indexOf(text);
+  if (index === -1) {
+    throw new Error(`Column header '${text}' was not found on tab '${sheet.getName()}'.`);
+  }
+  return { number: index + 1, header: text };
+}
@@ -0,0 +1,367 @@
+/**
+ * @OnlyCurrentDoc
+ * Indicates that this automation will only attempt to read or modify the spreadsheet this script is bound to.
+ * The authorization request message presented to users reflects the limited scope.
+ */
+
+const MERGE_SCHEDULE_PREFIX = 'mergeSchedule:';
+const MERGE_SCHEDULE_HANDLER = 'runScheduledMerges';
+const MERGE_NEW_ROW_HANDLER = 'sendMergeOnNewRow';
+// onChange types that can add a row; formatting and structure changes are ignored.
+const MERGE_NEW_ROW_CHANGE_TYPES = ['EDIT', 'INSERT_ROW'];
+// A changed merge tab is sent only once it has had no changes for this long, so rows being typed are not sent half-filled.
+const MERGE_NEW_ROW_SETTLE_MS = 2 * 60 * 1000;
+
+/**
+ * Schedules a mail merge to be sent at a date and time without anyone at the sheet.
+ *
+ * The merge runs as a batch job from a time-based trigger, so it follows the same rules as
+ * sendEmails: rows with a sent status are skipped and status is written as it goes.
+ *
+ * @param {string} [subjectLine] Subject line of the Gmail draft. Prompts if not provided.
+ * @param {string} [thisSheet] The spreadsheet URL or ID with the merge data. Defaults to the active spreadsheet.
+ * @param {string} [thisTab] The tab with the merge data. Prompts if not provided.
+ * @param {string} [emailRecipients] Header of the recipient column. Prompts if not provided.
+ * @param {string} [emailSent] Header of the sent-status column. Prompts if not provided.
+ * @param {Date|string} [runAt] When to send, as a Date or 'yyyy-MM-dd HH:mm' in the script time zone. Prompts if not provided.
+ * @return {Object|undefined} The saved schedule, or undefined if the setup is invalid or canceled.
+ *
+ * @example
+ * scheduleMailMerge('Event reminder', '1B2c...xyr', 'Registrations', 'Email', 'Reminder Sent', '2026-11-02 08:00');
+ */
+function scheduleMailMerge(subjectLine, thisSheet, thisTab, emailRecipients, emailSent, runAt) {
+  console.log(`Start scheduleMailMerge('${subjectLine}', '${thisSheet}', '${thisTab}', '${emailRecipients}', '${emailSent}', '${runAt}')`);
+
+  const schedule = newMergeSchedule_(subjectLine, thisSheet, thisTab, emailRecipients, emailSent);
+  if (!schedule) {
+    return;
+  }
+
+  runAt = runAt || getUserInput(`Enter the send date and time as yyyy-MM-dd HH:mm (time zone ${Session.getScriptTimeZone()})`);
+  const date = runAt instanceof Date ? runAt : Utilities.parseDate(String(runAt).trim(), Session.getScriptTimeZone(), 'yyyy-MM-dd HH:mm');
+  if (isNaN(date.getTime()) || date.getTime() <= Date.now()) {
+    notifyMergeSchedule_(`Scheduling failed: '${runAt}' is not a future date and time.`);
+    return;
+  }
+
+  const trigger = ScriptApp.newTrigger(MERGE_SCHEDULE_HANDLER).timeBased().at(date).create();
+  Object.assign(schedule, { mode: 'once', runAt: date.toISOString(), triggerId: trigger.getUniqueId() });
+  saveMergeSchedule_(schedule);
+
+  notifyMergeSchedule_(`Mail merge '${schedule.subjectLine}' scheduled for ${date}.`);
+  return schedule;
+}
+
+/**
+ * Sends the mail merge automatically whenever rows are added to its tab.
+ *
+ * Installs an onFormSubmit trigger when the rows come from a linked Google Form, otherwise an
+ * onChange trigger. Each event runs the merge as a batch job, so only rows with a blank
+ * sent status are emailed. Any existing rows with a blank sent status are sent on the first event.
+ * With onChange, changes to other tabs are ignored, and the merge waits until the tab has had no
+ * changes for MERGE_NEW_ROW_SETTLE_MS, so a row is not sent while it is still being filled in.
+ *
+ * @param {string} [subjectLine] Subject line of the Gmail draft. Prompts if not provided.
+ * @param {string} [thisSheet] The spreadsheet URL or ID with the merge data. Defaults to the active spreadsheet.
+ * @param {string} [thisTab] The tab with the merge data. Prompts if not provided.
+ * @param {string} [emailRecipients] Header of the recipient column. Prompts if not provided.
+ * @param {string} [emailSent] Header of the sent-status column. Prompts if not provided.
+ * @param {string} [mode] 'formSubmit' or 'change'. Asks if not provided.
+ * @return {Object|undefined} The saved schedule, or undefined if the setup is invalid or canceled.
+ *
+ * @example
+ * enableSendOnNewRow('Registration confirmed', '1B2c...xyr', 'Form Responses 1', 'Email Address', 'Confirmation Sent', 'formSubmit');
+ */
+function enableSendOnNewRow(subjectLine, thisSheet, thisTab, emailRecipients, emailSent, mode) {
+  console.log(`Start enableSendOnNewRow('${subjectLine}', '${thisSheet}', '${thisTab}', '${emailRecipients}', '${emailSent}', '${mode}')`);
+
+  const schedule = newMergeSchedule_(subjectLine, thisSheet, thisTab, emailRecipients, emailSent);
+  if (!schedule) {
+    return;
+  }
+
+  mode = mode || (getUserConfirmation('Are the new rows added by a linked Google Form?') ? 'formSubmit' : 'change');
+  const builder = ScriptApp.newTrigger(MERGE_NEW_ROW_HANDLER).forSpreadsheet(schedule.sheetId);
+  const trigger = mode === 'formSubmit' ? builder.onFormSubmit().create() : builder.onChange().create();
+  Object.assign(schedule, { mode: mode, pending: false, triggerId: trigger.getUniqueId() });
+  saveMergeSchedule_(schedule);
+
+  notifyMergeSchedule_(`New rows on '${schedule.tabName}' will be emailed with '${schedule.subjectLine}'.`);
+  return schedule;
+}
+
+/**
+ * Handles the onFormSubmit and onChange triggers installed by enableSendOnNewRow.
+ *
+ * @param {GoogleAppsScript.Events.SheetsOnFormSubmit|GoogleAppsScript.Events.SheetsOnChange} e The trigger event.
+ * @return {void} This function does not return a value.
+ */
+function sendMergeOnNewRow(e) {
+  if (e.changeType && !MERGE_NEW_ROW_CHANGE_TYPES.includes(e.changeType)) {
+    console.log(`Ignoring change of type '${e.changeType}'`);
+    return;
+  }
+  const schedule = listMergeSchedules_().find(s => s.triggerId === e.triggerUid);
+  if (!schedule) {
+    console.warn(`No mail merge schedule found for trigger '${e.triggerUid}'.`);
+    return;
+  }
+  schedule.pending = true;
+
+  if (e.changeType) {
+    const changedSheet = e.source && e.source.getActiveSheet();
+    if (changedSheet && changedSheet.getName() !== schedule.tabName) {
+      console.log(`Ignoring change to tab '${changedSheet.getName()}'`);
+      return;
+    }
+    // Sent by a retry once the tab has settled; each change restarts the wait.
+    schedule.changedAt = new Date().toISOString();
+    saveMergeSchedule_(schedule);
+    scheduleMergeRetry_();
+    return;
+  }
+  saveMergeSchedule_(schedule);
+  processDueMerges_();
+}
+
+/**
+ * Handles the time-based triggers of scheduled merges and of retries of busy new-row merges.
+ *
+ * @param {GoogleAppsScript.Events.TimeDriven} e The trigger event.
+ * @return {void} This function does not return a value.
+ */
+function runScheduledMerges(e) {
+  // One-off triggers stay listed on the project after they fire.
+  deleteMergeTrigger_(e && e.triggerUid);
+  processDueMerges_();
+}
+
+/**
+ * Lists the scheduled and new-row mail merges and lets the user cancel one.
+ *
+ * @return {void} This function does not return a value.
+ */
+function manageScheduledMerges() {
+  const schedules = listMergeSchedules_();
+  const ui = SpreadsheetApp.getUi();
+  if (schedules.length === 0) {
+    ui.alert('There are no scheduled mail merges.');
+    return;
+  }
+
+  const lines = schedules.map((s, i) => `${i + 1}. ${describeMergeSchedule_(s)}`);
+  const answer = getUserInput(`${lines.join('\n')}\n\nEnter the number of a mail merge to cancel, or leave blank to keep them all.`).trim();
+  if (!answer) {
+    return;
+  }
+
+  const schedule = schedules[Number(answer) - 1];
+  if (!schedule) {
+    ui.alert(`'${answer}' is not one of the listed numbers.`);
+    return;
+  }
+  deleteMergeTrigger_(schedule.triggerId);
+  deleteMergeSchedule_(schedule);
+  SpreadsheetApp.getActiveSpreadsheet().toast(`Canceled: ${describeMergeSchedule_(schedule)}`);
+}
+
+/**
+ * Sends every merge that is due: scheduled merges whose time has come, and new-row merges with pending rows.
+ *
+ * Runs under the same user lock as resumeBatchJobs so a sheet is never merged by two executions
+ * at once. A merge whose sheet already has an unfinished mail merge job, or that cannot get the
+ * lock, is retried a minute later, as is a changed tab that has not settled yet.
+ *
+ * @return {void} This function does not return a value.
+ */
+function processDueMerges_() {
+  const lock = LockService.getUserLock();
+  if (!lock.tryLock(30 * 1000)) {
+    console.warn(`Another mail merge is running; retrying due merges later.`);
+    scheduleMergeRetry_();
+    return;
+  }
+
+  try {
+    const now = Date.now();
+    const schedules = listMergeSchedules_();
+    const settled = s => !s.changedAt || now - new Date(s.changedAt).getTime() >= MERGE_NEW_ROW_SETTLE_MS;
+    const due = schedules.filter(s => (s.pending && settled(s)) || (s.mode === 'once' && new Date(s.runAt).getTime() <= now));
+    const unsettled = schedules.some(s => s.pending && !settled(s));
+    const running = listBatchJobs_().filter(job => job.type === 'sendEmails');
+    let retry = false;
+
+    for (const schedule of due) {
+      if (retry || running.some(job => job.params.sheetId === schedule.sheetId && job.params.tabName === schedule.tabName)) {
+        retry = true;
+        continue;
+      }
+
+      if (schedule.mode === 'once') {
+        deleteMergeTrigger_(schedule.triggerId);
+        deleteMergeSchedule_(schedule);
+      } else {
+        schedule.pending = false;
+        saveMergeSchedule_(schedule);
+      }
+
+      const result = startBatchJob_('sendEmails', {
+        sheetId: schedule.sheetId,
+        tabName: schedule.tabName,
+        subjectLine: schedule.subjectLine,
+        recipientCol: schedule.recipientCol,
+        sentCol: schedule.sentCol
+      });
+      console.info(describeBatchOutcome_(describeMergeSchedule_(schedule), result));
+      // A job that ran out of time has used this execution; the rest wait for the retry.
+      retry = result.outcome === BATCH_OUTCOME.MORE;
+    }
+
+    if (retry || unsettled) {
+      scheduleMergeRetry_();
+    }
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Prompts for missing merge settings and checks the draft and headers, like sendEmails does.
+ *
+ * @param {string} [subjectLine] Subject line of the Gmail draft.
+ * @param {string} [thisSheet] The spreadsheet URL or ID; defaults to the active spreadsheet.
+ * @param {string} [thisTab] The tab with the merge data.
+ * @param {string} [recipientCol] Header of the recipient column.
+ * @param {string} [sentCol] Header of the sent-status column.
+ * @return {Object|undefined} A new schedule without mode or trigger, or undefined if a setting is invalid or canceled.
+ */
+function newMergeSchedule_(subjectLine, thisSheet, thisTab, recipientCol, sentCol) {
+  subjectLine = subjectLine || getUserInput('Type or copy/paste the SUBJECT LINE of the Gmail draft to send:');
+  thisTab = thisTab || getUserInput('Enter the name of the tab with the mail merge data:');
+  recipientCol = recipientCol || getUserInput('Enter the HEADER NAME of the column of recipient email addresses:');
+  sentCol = sentCol || getUserInput('Enter the HEADER NAME of the column of email sent status:');
+  if (!subjectLine || !thisTab || !recipientCol || !sentCol) {
+    console.error(`User input for the mail merge settings was invalid or canceled.`);
+    return;
+  }
+
+  const spreadsheet = thisSheet ? openSpreadsheet_(thisSheet) : SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = spreadsheet.getSheetByName(thisTab);
+  if (!sheet) {
+    notifyMergeSchedule_(`Scheduling failed: tab '${thisTab}' was not found.`);
+    return;
+  }
+  if (!getGmailTemplateFromDrafts_(subjectLine)) {
+    notifyMergeSchedule_(`Scheduling failed: no Gmail draft found with subject '${subjectLine}'.`);
+    return;
+  }
+  const heads = sheet.getRange(1, 1, 1, Math.max(sheet.getLastColumn(), 1)).getDisplayValues()[0];
+  const missing = [recipientCol, sentCol].filter(header => !heads.includes(header));
+  if (missing.length > 0) {
+    notifyMergeSchedule_(`Scheduling failed due to missing column header: '${missing.join("', '")}'`);
+    return;
+  }
+
+  return {
+    id: Utilities.getUuid(),
+    sheetId: spreadsheet.getId(),
+    tabName: sheet.getName(),
+    subjectLine: subjectLine,
+    recipientCol: recipientCol,
+    sentCol: sentCol,
+    createdAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Describes a schedule for the manage dialog and the logs.
+ *
+ * @param {Object} schedule The saved schedule.
+ * @return {string} A one-line description.
+ */
+function describeMergeSchedule_(schedule) {
+  const when = schedule.mode === 'once'
+    ? `at ${new Date(schedule.runAt)}`
+    : `on each new row (${schedule.mode === 'formSubmit' ? 'form submit' : 'sheet change'})`;
+  return `'${schedule.subjectLine}' to '${schedule.tabName}' ${when}`;
+}
+
+/**
+ * Shows a toast when run from the spreadsheet, and always logs the message.
+ *
+ * @param {string} message The message.
+ * @return {void} This function does not return a value.
+ */
+function notifyMergeSchedule_(message) {
+  console.info(message);
+  const activeSpreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  if (activeSpreadsheet) {
+    activeSpreadsheet.toast(message);
+  }
+}
+
+/**
+ * Schedules runScheduledMerges() to retry due merges after the batch resume delay, unless a retry is already scheduled.
+ *
+ * @return {void} This function does not return a value.
+ */
+function scheduleMergeRetry_() {
+  // Triggers of scheduled merges share the handler; any other one is a pending retry.
+  const scheduledIds = listMergeSchedules_().map(s => s.triggerId);
+  const exists = ScriptApp.getProjectTriggers()
+    .some(t => t.getHandlerFunction() === MERGE_SCHEDULE_HANDLER && !scheduledIds.includes(t.getUniqueId()));
+  if (exists) {
+    console.log(`A '${MERGE_SCHEDULE_HANDLER}' retry is already scheduled.`);
+    return;
+  }
+  ScriptApp.newTrigger(MERGE_SCHEDULE_HANDLER).timeBased().after(BATCH_RESUME_DELAY_MS).create();
+  console.info(`Scheduled '${MERGE_SCHEDULE_HANDLER}' retry in ${Math.round(BATCH_RESUME_DELAY_MS / 1000)} seconds`);
+}
+
+/**
+ * Deletes a project trigger by its unique ID, if it still exists.
+ *
+ * @param {string} [triggerId] The trigger's unique ID.
+ * @return {void} This function does not return a value.
+ */
+function deleteMergeTrigger_(triggerId) {
+  if (!triggerId) {
+    return;
+  }
+  ScriptApp.getProjectTriggers()
+    .filter(t => t.getUniqueId() === triggerId)
+    .forEach(t => ScriptApp.deleteTrigger(t));
+}
+
+/**
+ * Lists the saved mail merge schedules.
+ *
+ * @return {Array<Object>} The schedules, oldest first.
+ */
+function listMergeSchedules_() {
+  const properties = PropertiesService.getUserProperties().getProperties();
+  return Object.keys(properties)
+    .filter(key => key.indexOf(MERGE_SCHEDULE_PREFIX) === 0)
+    .map(key => JSON.parse(properties[key]))
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * Saves a schedule to the user's properties.
+ *
+ * @param {Object} schedule The schedule.
+ * @return {void} This function does not return a value.
+ */
+function saveMergeSchedule_(schedule) {
+  PropertiesService.getUserProperties().setProperty(MERGE_SCHEDULE_PREFIX + schedule.id, JSON.stringify(schedule));
+}
+
+/**
+ * Removes a schedule from the user's properties.
+ *
+ * @param {Object} schedule The schedule.
+ * @return {void} This function does not return a value.
+ */
+function deleteMergeSchedule_(schedule) {
+  PropertiesService.getUserProperties().deleteProperty(MERGE_SCHEDULE_PREFIX + schedule.id);
+}
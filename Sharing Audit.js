@@ -0,0 +1,325 @@
+/**
+ * @OnlyCurrentDoc
+ * Indicates that this automation will only attempt to read or modify the spreadsheet this script is bound to.
+ * The authorization request message presented to users reflects the limited scope.
+ */
+
+const SHARING_AUDIT_TAB = 'Sharing Audit';
+const SHARING_AUDIT_HEADERS = ['Path', 'Name', 'ID', 'URL', 'Type', 'Owner', 'Editors', 'Commenters', 'Viewers', 'Link Sharing', 'External Access', 'Status'];
+
+// Roles in increasing order of access, with the DriveApp methods that grant and revoke them.
+const SHARING_ROLES_ = [
+  { header: 'Viewers', name: 'viewer', add: 'addViewer', remove: 'removeViewer' },
+  { header: 'Commenters', name: 'commenter', add: 'addCommenter', remove: 'removeCommenter' },
+  { header: 'Editors', name: 'editor', add: 'addEditor', remove: 'removeEditor' }
+];
+
+/**
+ * Audits the sharing of every file and folder in a folder tree and writes it to the 'Sharing Audit' tab.
+ *
+ * Each row lists the owner, editors, commenters and viewers (comma separated), the link sharing
+ * level as 'ACCESS / PERMISSION' (e.g. 'ANYONE_WITH_LINK / VIEW'), and whether anyone outside
+ * the running user's domain has access. A copy of the tab can be edited and passed to
+ * applySharingChanges() to change permissions in bulk.
+ *
+ * @param {string} [folderUrl] The URL or ID of the folder to audit. Prompts if not provided.
+ * @return {void} This function does not return a value.
+ *
+ * @example
+ * auditSharing("https://drive.google.com/drive/folders/1Cf1NbSxGq8po5fMpcwsCOq4Wcj6AwBXt");
+ */
+function auditSharing(folderUrl) {
+  console.log(`Start auditSharing('${folderUrl}')`);
+  console.time(`auditSharing() time `);
+
+  const activeSpreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+
+  if (!folderUrl) {
+    folderUrl = getUserInput('Enter the folder link to audit');
+    if (!folderUrl) {
+      console.error(`User input for folderUrl was invalid or canceled.`);
+      return;
+    }
+  }
+
+  const folder = openDriveFolder_(folderUrl);
+  const sheet = prepareReportTab_(activeSpreadsheet, SHARING_AUDIT_TAB, SHARING_AUDIT_HEADERS);
+
+  const result = startBatchJob_('sharingAudit', {
+    folderId: folder.getId(),
+    folderResourceKey: folder.getResourceKey() || '',
+    sheetId: activeSpreadsheet.getId(),
+    tabName: sheet.getName()
+  });
+  activeSpreadsheet.toast(describeBatchOutcome_('Sharing audit', result));
+
+  console.timeEnd(`auditSharing() time `);
+}
+
+/**
+ * Applies the permissions in an edited sharing audit tab to the files and folders it lists.
+ *
+ * For each row, the Editors, Commenters and Viewers cells are the desired access: people added
+ * to a cell are granted that role, people moved between cells change role, and people removed
+ * from every cell lose access. The owner is never changed. A changed Link Sharing cell
+ * ('PRIVATE', or 'ACCESS / PERMISSION' such as 'DOMAIN_WITH_LINK / VIEW') updates link sharing.
+ * The changes made, or the error, are written to the row's Status cell.
+ *
+ * @param {string} [thisTab] The name of the edited tab in the active spreadsheet. Defaults to the active tab.
+ * @return {void} This function does not return a value.
+ *
+ * @example
+ * applySharingChanges('Sharing Audit (edited)');
+ */
+function applySharingChanges(thisTab) {
+  console.log(`Start applySharingChanges('${thisTab}')`);
+  console.time(`applySharingChanges() time `);
+
+  const activeSpreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = thisTab ? activeSpreadsheet.getSheetByName(thisTab) : SpreadsheetApp.getActiveSheet();
+  if (!sheet) {
+    activeSpreadsheet.toast(`Sharing changes failed: tab '${thisTab}' was not found.`);
+    console.error(`Abort script due to missing tab: '${thisTab}'`);
+    return;
+  }
+
+  const heads = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getDisplayValues()[0];
+  const missing = SHARING_AUDIT_HEADERS.filter(header => !heads.includes(header));
+  if (missing.length > 0) {
+    activeSpreadsheet.toast(`Sharing changes failed due to missing column header(s): '${missing.join("', '")}'`);
+    console.error(`Abort script due to missing column header(s): '${missing.join("', '")}'`);
+    return;
+  }
+
+  const confirmed = getUserConfirmation(`Apply the permissions listed in '${sheet.getName()}'? People missing from the Editors, Commenters and Viewers cells will lose access.`);
+  if (!confirmed) {
+    console.warn(`applySharingChanges() was canceled by the user.`);
+    return;
+  }
+
+  const result = startBatchJob_('sharingChanges', {
+    sheetId: activeSpreadsheet.getId(),
+    tabName: sheet.getName()
+  });
+  activeSpreadsheet.toast(describeBatchOutcome_('Sharing changes', result));
+
+  console.timeEnd(`applySharingChanges() time `);
+}
+
+/**
+ * Walks the next part of the folder tree for a sharingAudit batch job and appends its rows.
+ *
+ * @param {Object} job The batch job state; job.state holds the walk position and job.cursor the number of rows written.
+ * @param {Object} context Resources cached across chunks of the same execution.
+ * @return {string} One of the BATCH_OUTCOME values.
+ */
+function processSharingAuditChunk_(job, context) {
+  if (!context.sheet) {
+    context.sheet = SpreadsheetApp.openById(job.params.sheetId).getSheetByName(job.params.tabName);
+    if (!context.sheet) {
+      throw new Error(`Sheet named '${job.params.tabName}' was not found in '${job.params.sheetId}'.`);
+    }
+    context.domain = Session.getEffectiveUser().getEmail().split('@')[1];
+  }
+
+  const rows = [];
+  if (!job.state) {
+    // The walk does not visit its root, so the root folder's own sharing is recorded first.
+    const root = getDriveFolderById_(job.params.folderId, job.params.folderResourceKey);
+    job.state = newDriveTreeState_(root);
+    rows.push(sharingAuditRow_(root, root.getName(), true, context.domain));
+  }
+
+  const done = walkDriveTree_(job.state, BATCH_CHUNK_SIZE, {
+    file: (file, parent) => rows.push(sharingAuditRow_(file, `${parent.path}/${file.getName()}`, false, context.domain)),
+    folder: (folder, parent) => rows.push(sharingAuditRow_(folder, `${parent.path}/${folder.getName()}`, true, context.domain))
+  });
+
+  if (rows.length > 0) {
+    context.sheet.getRange(job.cursor + 2, 1, rows.length, SHARING_AUDIT_HEADERS.length).setValues(rows);
+  }
+  job.cursor += rows.length;
+  job.processed += rows.length;
+
+  return done ? BATCH_OUTCOME.DONE : BATCH_OUTCOME.MORE;
+}
+
+/**
+ * Applies the next chunk of rows for a sharingChanges batch job and writes each row's status.
+ *
+ * @param {Object} job The batch job state created by applySharingChanges; job.cursor is the 0-based data row to start from.
+ * @param {Object} context Resources cached across chunks of the same execution.
+ * @return {string} One of the BATCH_OUTCOME values.
+ */
+function processSharingChangesChunk_(job, context) {
+  if (!context.sheet) {
+    context.sheet = SpreadsheetApp.openById(job.params.sheetId).getSheetByName(job.params.tabName);
+    if (!context.sheet) {
+      throw new Error(`Sheet named '${job.params.tabName}' was not found in '${job.params.sheetId}'.`);
+    }
+    const data = context.sheet.getDataRange().getDisplayValues();
+    const heads = data.shift();
+    context.rows = mapArraysToObjects(heads, data);
+    context.statusColIdx = heads.indexOf('Status');
+  }
+
+  const start = job.cursor;
+  const end = Math.min(start + BATCH_CHUNK_SIZE, context.rows.length);
+  const statuses = [];
+
+  for (let rowIdx = start; rowIdx < end; rowIdx++) {
+    const row = context.rows[rowIdx];
+    if (row['ID'] === '') {
+      statuses.push([row['Status']]);
+      job.skipped++;
+      noteRunRow_(job, rowIdx + 2, 'No ID');
+      continue;
+    }
+    try {
+      const changes = applyRowSharing_(row);
+      statuses.push([changes.length > 0 ? `Applied: ${changes.join('; ')}` : 'No changes']);
+      job.processed++;
+      console.info(`Sharing for '${row['Path']}' (Row ${rowIdx + 2}): ${changes.join('; ') || 'no changes'}`);
+    } catch (e) {
+      statuses.push([`Error: ${e.message}`]);
+      job.failed++;
+      noteRunRow_(job, rowIdx + 2, e.message);
+      console.error(`Failed to apply sharing for '${row['Path']}' (Row ${rowIdx + 2}). Error: ${e.message}`);
+    }
+  }
+
+  if (statuses.length > 0) {
+    context.sheet.getRange(start + 2, context.statusColIdx + 1, statuses.length).setValues(statuses);
+  }
+  job.cursor = end;
+  return job.cursor >= context.rows.length ? BATCH_OUTCOME.DONE : BATCH_OUTCOME.MORE;
+}
+
+/**
+ * Builds the sharing audit row for a file or folder, in SHARING_AUDIT_HEADERS order.
+ *
+ * @param {GoogleAppsScript.Drive.File|GoogleAppsScript.Drive.Folder} item The file or folder.
+ * @param {string} path The path of the item from the audited folder.
+ * @param {boolean} isFolder Whether the item is a folder.
+ * @param {string} domain The running user's email domain; other domains count as external.
+ * @return {Array<*>} The row values.
+ */
+function sharingAuditRow_(item, path, isFolder, domain) {
+  const owner = item.getOwner();
+  const roles = getSharingRoles_(item, isFolder);
+  const linkSharing = `${item.getSharingAccess()} / ${item.getSharingPermission()}`;
+
+  const externalDomains = new Set();
+  Object.keys(roles).forEach(email => {
+    const emailDomain = email.split('@')[1];
+    if (emailDomain && emailDomain !== domain) {
+      externalDomains.add(emailDomain);
+    }
+  });
+  const external = [];
+  if (/^ANYONE/.test(String(item.getSharingAccess()))) {
+    external.push('Anyone with the link');
+  }
+  external.push(...externalDomains);
+
+  const emailsWithRole = role => Object.keys(roles).filter(email => roles[email] === role).join(', ');
+
+  return [
+    path,
+    item.getName(),
+    item.getId(),
+    item.getUrl(),
+    isFolder ? 'Folder' : item.getMimeType(),
+    owner ? owner.getEmail() : '',
+    emailsWithRole('editor'),
+    emailsWithRole('commenter'),
+    emailsWithRole('viewer'),
+    linkSharing,
+    external.length > 0 ? `Yes: ${external.join(', ')}` : 'No',
+    ''
+  ];
+}
+
+/**
+ * Returns the role of every user with explicit access to an item, excluding the owner.
+ *
+ * DriveApp lists commenters together with viewers, so each viewer's access is checked.
+ * Folders have no commenter role.
+ *
+ * @param {GoogleAppsScript.Drive.File|GoogleAppsScript.Drive.Folder} item The file or folder.
+ * @param {boolean} isFolder Whether the item is a folder.
+ * @return {Object<string, string>} A map of lower-cased email address to 'editor', 'commenter' or 'viewer'.
+ */
+function getSharingRoles_(item, isFolder) {
+  const roles = {};
+  item.getViewers().forEach(user => {
+    const isCommenter = !isFolder && item.getAccess(user) == DriveApp.Permission.COMMENT;
+    roles[user.getEmail().toLowerCase()] = isCommenter ? 'commenter' : 'viewer';
+  });
+  item.getEditors().forEach(user => {
+    roles[user.getEmail().toLowerCase()] = 'editor';
+  });
+  return roles;
+}
+
+/**
+ * Changes the permissions of the item in an edited audit row to match the row.
+ *
+ * @param {Object} row The row object keyed by SHARING_AUDIT_HEADERS.
+ * @return {Array<string>} A description of each change made; empty if nothing changed.
+ * @throws {Error} If the item cannot be opened, a cell holds an invalid address or link sharing value, or Drive rejects a change.
+ */
+function applyRowSharing_(row) {
+  const isFolder = row['Type'] === 'Folder';
+  // Items shared by a link with a resource key can only be opened with it; their audited URL carries it.
+  const link = row['URL'] ? parseDriveUrl(row['URL']) : null;
+  const resourceKey = link && link.id === row['ID'] ? link.resourceKey : '';
+  const item = isFolder ? getDriveFolderById_(row['ID'], resourceKey) : getDriveFileById_(row['ID'], resourceKey);
+  const current = getSharingRoles_(item, isFolder);
+  const owner = item.getOwner() ? item.getOwner().getEmail().toLowerCase() : '';
+
+  // The highest role listed for an address wins.
+  const desired = {};
+  SHARING_ROLES_.forEach(role => {
+    normalizeEmailList_(row[role.header], role.header).split(',')
+      .filter(email => email !== '')
+      .forEach(email => desired[email.toLowerCase()] = role.name);
+  });
+  if (isFolder && Object.keys(desired).some(email => desired[email] === 'commenter')) {
+    throw new Error(`Folders have no commenter role.`);
+  }
+
+  const roleByName = name => SHARING_ROLES_.find(role => role.name === name);
+  const changes = [];
+  const emails = new Set(Object.keys(current).concat(Object.keys(desired)));
+
+  emails.forEach(email => {
+    if (email === owner || current[email] === desired[email]) {
+      return;
+    }
+    if (current[email]) {
+      item[roleByName(current[email]).remove](email);
+    }
+    if (desired[email]) {
+      item[roleByName(desired[email]).add](email);
+      changes.push(`${email} ${current[email] ? `${current[email]} → ` : ''}${desired[email]}`);
+    } else {
+      changes.push(`removed ${current[email]} ${email}`);
+    }
+  });
+
+  const currentLink = `${item.getSharingAccess()} / ${item.getSharingPermission()}`;
+  const desiredLink = String(row['Link Sharing']).trim().toUpperCase();
+  if (desiredLink !== '' && desiredLink.replace(/\s+/g, '') !== currentLink.replace(/\s+/g, '')) {
+    const parts = desiredLink.split('/').map(part => part.trim());
+    const access = DriveApp.Access[parts[0]];
+    const permission = parts[0] === 'PRIVATE' ? DriveApp.Permission.NONE : DriveApp.Permission[parts[1]];
+    if (!access || !permission) {
+      throw new Error(`Invalid Link Sharing value: '${row['Link Sharing']}'`);
+    }
+    item.setSharing(access, permission);
+    changes.push(`link sharing ${currentLink} → ${access} / ${permission}`);
+  }
+
+  return changes;
+}
@@ -0,0 +1,267 @@
+/**
+ * @OnlyCurrentDoc
+ * Indicates that this automation will only attempt to read or modify the spreadsheet this script is bound to.
+ * The authorization request message presented to users reflects the limited scope.
+ */
+
+const SIDEBAR_PROPERTY_PREFIX = 'sidebar:';
+
+/**
+ * The form shown in the sidebar of each utility.
+ *
+ * Field types: 'drive' (a Drive link checked on entry; kind is 'file' or 'folder'), 'sheet'
+ * (a spreadsheet link; blank means the active spreadsheet), 'tab' (a picker of the sheet's tabs),
+ * 'header' (a picker of the chosen tab's headers), 'draft' (a picker of Gmail draft subjects),
+ * 'choice' (a picker of the field's options), 'text', 'number' and 'checkbox'. jobType names
+ * the batch job whose progress is shown.
+ */
+const SIDEBAR_UTILITIES = Object.freeze({
+  copyFiles: {
+    title: 'Create named files',
+    fields: [
+      { name: 'templateFileUrl', label: 'Template file link', type: 'drive', kind: 'file', required: true },
+      { name: 'sheetUrl', label: 'Spreadsheet link (blank for this one)', type: 'sheet' },
+      { name: 'tabName', label: 'Tab with the filenames', type: 'tab', required: true },
+      { name: 'range', label: 'Filename range (A1 notation)', type: 'text', required: true, placeholder: 'A2:A50' },
+      { name: 'destinationFolderUrl', label: 'Destination folder link', type: 'drive', kind: 'folder', required: true },
+      { name: 'urlColumn', label: 'Column number for the new URLs', type: 'number', required: true },
+      { name: 'duplicatePolicy', label: 'If a file with the same name exists (blank to skip)', type: 'choice', options: ['skip', 'overwrite', 'suffix'] }
+    ]
+  },
+  copyFolders: {
+    title: 'Create named subfolders',
+    fields: [
+      { name: 'sheetUrl', label: 'Spreadsheet link (blank for this one)', type: 'sheet' },
+      { name: 'tabName', label: 'Tab with the folder names', type: 'tab', required: true },
+      { name: 'range', label: 'Folder name or path range (A1 notation)', type: 'text', required: true, placeholder: 'A2:A50' },
+      { name: 'destinationFolderUrl', label: 'Destination folder link', type: 'drive', kind: 'folder', required: true },
+      { name: 'urlColumn', label: 'Column number for the new URLs', type: 'number', required: true }
+    ]
+  },
+  createCopies: {
+    title: 'Create copies',
+    jobType: 'createCopies',
+    fields: [
+      { name: 'templateFileUrl', label: 'Template file link', type: 'drive', kind: 'file', required: true },
+      { name: 'destinationFolderUrl', label: 'Destination folder link', type: 'drive', kind: 'folder', required: true },
+      { name: 'sheetUrl', label: 'Spreadsheet link (blank for this one)', type: 'sheet' },
+      { name: 'tabName', label: 'Tab with the filenames', type: 'tab', required: true },
+      { name: 'nameHeader', label: 'Filename column', type: 'header', required: true },
+      { name: 'urlHeader', label: 'Column for the new URLs', type: 'header', required: true },
+      { name: 'duplicatePolicy', label: 'If a file with the same name exists (blank to skip)', type: 'choice', options: ['skip', 'overwrite', 'suffix'] },
+      { name: 'fillTemplate', label: 'Fill {{Header}} placeholders in each copy', type: 'checkbox' },
+      { name: 'responseTarget', label: 'Form responses spreadsheet link (optional)', type: 'drive', kind: 'file' },
+      { name: 'newTabName', label: 'Response tab name (optional, may use {{Header}})', type: 'text' },
+      { name: 'exportFormat', label: 'Export each copy as (optional)', type: 'text', placeholder: 'pdf, docx, xlsx or pptx' },
+      { name: 'exportFolderUrl', label: 'Export folder link (blank for the destination folder)', type: 'drive', kind: 'folder' },
+      { name: 'exportHeader', label: 'Column for the export URLs', type: 'header' },
+      { name: 'replaceCopy', label: 'Keep only the export (trash the native copy)', type: 'checkbox' }
+    ]
+  },
+  sendEmails: {
+    title: 'Send mail merge',
+    jobType: 'sendEmails',
+    fields: [
+      { name: 'subjectLine', label: 'Gmail draft', type: 'draft', required: true },
+      { name: 'sheetUrl', label: 'Spreadsheet link (blank for this one)', type: 'sheet' },
+      { name: 'tabName', label: 'Tab with the recipients', type: 'tab', required: true },
+      { name: 'recipientHeader', label: 'Recipient column', type: 'header', required: true },
+      { name: 'sentHeader', label: 'Email sent column', type: 'header', required: true },
+      { name: 'dedupePolicy', label: 'If a recipient is on an earlier row (blank to drop the address)', type: 'choice', options: ['address', 'row', 'none'] },
+      { name: 'dryRun', label: 'Preview only (write the Merge Preview tab)', type: 'checkbox' }
+    ]
+  }
+});
+
+/**
+ * Opens the 'Create named files' sidebar.
+ *
+ * @return {void} This function does not return a value.
+ */
+function showCopyFilesSidebar() {
+  showUtilitySidebar_('copyFiles');
+}
+
+/**
+ * Opens the 'Create named subfolders' sidebar.
+ *
+ * @return {void} This function does not return a value.
+ */
+function showCopyFoldersSidebar() {
+  showUtilitySidebar_('copyFolders');
+}
+
+/**
+ * Opens the 'Create copies' sidebar.
+ *
+ * @return {void} This function does not return a value.
+ */
+function showCreateCopiesSidebar() {
+  showUtilitySidebar_('createCopies');
+}
+
+/**
+ * Opens the 'Send mail merge' sidebar.
+ *
+ * @return {void} This function does not return a value.
+ */
+function showMailMergeSidebar() {
+  showUtilitySidebar_('sendEmails');
+}
+
+/**
+ * Renders Sidebar.html for a utility and shows it in the spreadsheet.
+ *
+ * The utility's form definition and the user's last-used values are embedded in the page.
+ *
+ * @param {string} utility A key of SIDEBAR_UTILITIES.
+ * @return {void} This function does not return a value.
+ */
+function showUtilitySidebar_(utility) {
+  const config = Object.assign({ utility: utility, lastUsed: getLastUsedValues_(utility) }, SIDEBAR_UTILITIES[utility]);
+  const template = HtmlService.createTemplateFromFile('Sidebar');
+  // Escape '<' so the JSON cannot close the surrounding <script> element.
+  template.configJson = JSON.stringify(config).replace(/</g, '\\u003c');
+
+  const html = template.evaluate().setTitle(config.title);
+  SpreadsheetApp.getUi().showSidebar(html);
+}
+
+/**
+ * Lists the tab names of a spreadsheet for the sidebar's tab picker.
+ *
+ * @param {string} [sheetUrl] The spreadsheet URL or ID; blank for the active spreadsheet.
+ * @return {Array<string>} The tab names, in order.
+ */
+function listSheetTabs(sheetUrl) {
+  return openSidebarSpreadsheet_(sheetUrl).getSheets().map(sheet => sheet.getName());
+}
+
+/**
+ * Lists the non-blank headers (first row) of a tab for the sidebar's header pickers.
+ *
+ * @param {string} [sheetUrl] The spreadsheet URL or ID; blank for the active spreadsheet.
+ * @param {string} tabName The tab name.
+ * @return {Array<string>} The headers, in column order.
+ * @throws {Error} If the tab does not exist.
+ */
+function listTabHeaders(sheetUrl, tabName) {
+  const sheet = openSidebarSpreadsheet_(sheetUrl).getSheetByName(tabName);
+  if (!sheet) {
+    throw new Error(`Tab '${tabName}' was not found.`);
+  }
+  if (sheet.getLastColumn() === 0) {
+    return [];
+  }
+  return sheet.getRange(1, 1, 1, sheet.getLastColumn()).getDisplayValues()[0].filter(header => header.trim() !== '');
+}
+
+/**
+ * Lists the subjects of the user's Gmail drafts for the sidebar's draft picker.
+ *
+ * @return {Array<string>} The unique, non-blank draft subjects, sorted.
+ */
+function listDraftSubjects() {
+  const subjects = GmailApp.getDrafts().map(draft => draft.getMessage().getSubject()).filter(subject => subject);
+  return [...new Set(subjects)].sort();
+}
+
+/**
+ * Checks a Drive link entered in the sidebar.
+ *
+ * @param {string} url The link or ID.
+ * @param {string} kind 'file' or 'folder'.
+ * @return {{ ok: boolean, name: (string|undefined), error: (string|undefined) }} The item's name, or why the link is invalid.
+ */
+function validateDriveLink(url, kind) {
+  try {
+    const item = kind === 'folder' ? openDriveFolder_(url) : openDriveFile_(url);
+    return { ok: true, name: item.getName() };
+  } catch (e) {
+    return { ok: false, error: `Not a ${kind} you can open: ${e.message}` };
+  }
+}
+
+/**
+ * Runs a utility with the values submitted from its sidebar and remembers them for next time.
+ *
+ * @param {string} utility A key of SIDEBAR_UTILITIES.
+ * @param {Object} values The form values keyed by field name.
+ * @return {{ message: string, pending: boolean }} A summary for the sidebar; pending is true while a batch job continues on a trigger.
+ * @throws {Error} If the utility is unknown or fails.
+ */
+function runSidebarUtility(utility, values) {
+  console.log(`Start runSidebarUtility('${utility}', '${JSON.stringify(values)}')`);
+  PropertiesService.getUserProperties().setProperty(SIDEBAR_PROPERTY_PREFIX + utility, JSON.stringify(values));
+
+  const sheetUrl = values.sheetUrl || SpreadsheetApp.getActiveSpreadsheet().getUrl();
+  let result;
+
+  switch (utility) {
+    case 'copyFiles': {
+      const count = copyFiles(values.templateFileUrl, sheetUrl, values.tabName, values.range, values.destinationFolderUrl, values.urlColumn,
+        values.duplicatePolicy || '');
+      return { message: `Created ${count} file(s).`, pending: false };
+    }
+    case 'copyFolders': {
+      const count = copyFolders(sheetUrl, values.tabName, values.range, values.urlColumn, values.destinationFolderUrl);
+      return { message: `Created or found ${count} folder path(s).`, pending: false };
+    }
+    case 'createCopies':
+      result = createCopies(values.templateFileUrl, values.destinationFolderUrl, sheetUrl, values.tabName, '', '',
+        values.responseTarget || '', values.newTabName || '', Boolean(values.fillTemplate), values.nameHeader, values.urlHeader,
+        { format: values.exportFormat, folder: values.exportFolderUrl, header: values.exportHeader, replaceCopy: Boolean(values.replaceCopy) },
+        values.duplicatePolicy || '');
+      break;
+    case 'sendEmails':
+      result = sendEmails(values.subjectLine, sheetUrl, values.tabName, values.recipientHeader, values.sentHeader, Boolean(values.dryRun),
+        values.dedupePolicy || '');
+      if (values.dryRun) {
+        return { message: `Preview written to the '${MERGE_PREVIEW_TAB}' tab. No emails were sent.`, pending: false };
+      }
+      break;
+    default:
+      throw new Error(`Unknown utility: '${utility}'`);
+  }
+
+  if (!result) {
+    return { message: `${SIDEBAR_UTILITIES[utility].title} stopped. See the message in the spreadsheet for details.`, pending: false };
+  }
+  const pending = result.outcome === BATCH_OUTCOME.MORE || result.outcome === BATCH_OUTCOME.QUOTA;
+  return { message: describeBatchOutcome_(SIDEBAR_UTILITIES[utility].title, result), pending: pending };
+}
+
+/**
+ * Reports the progress of the user's unfinished batch job of a type, for the sidebar's progress line.
+ *
+ * @param {string} jobType The batch job type, e.g. 'sendEmails'.
+ * @return {{ row: number, processed: number, skipped: number, failed: number }|null} The progress, or null when no job of that type is running.
+ */
+function getBatchJobProgress(jobType) {
+  const job = listBatchJobs_().find(job => job.type === jobType);
+  if (!job) {
+    return null;
+  }
+  return { row: job.cursor + 2, processed: job.processed, skipped: job.skipped, failed: job.failed };
+}
+
+/**
+ * Returns the values the user last submitted from a utility's sidebar.
+ *
+ * @param {string} utility A key of SIDEBAR_UTILITIES.
+ * @return {Object} The saved values keyed by field name; empty if none.
+ */
+function getLastUsedValues_(utility) {
+  const saved = PropertiesService.getUserProperties().getProperty(SIDEBAR_PROPERTY_PREFIX + utility);
+  return saved ? JSON.parse(saved) : {};
+}
+
+/**
+ * Opens the spreadsheet named in a sidebar form, defaulting to the active spreadsheet.
+ *
+ * @param {string} [sheetUrl] The spreadsheet URL or ID.
+ * @return {GoogleAppsScript.Spreadsheet.Spreadsheet} The spreadsheet.
+ */
+function openSidebarSpreadsheet_(sheetUrl) {
+  return sheetUrl ? openSpreadsheet_(sheetUrl) : SpreadsheetApp.getActiveSpreadsheet();
+}
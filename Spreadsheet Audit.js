@@ -0,0 +1,293 @@
+/**
+ * @OnlyCurrentDoc
+ * Indicates that this automation will only attempt to read or modify the spreadsheet this script is bound to.
+ * The authorization request message presented to users reflects the limited scope.
+ */
+
+const SPREADSHEET_AUDIT_TAB = 'Spreadsheet Audit';
+const SPREADSHEET_AUDIT_HEADERS = ['Spreadsheet', 'Spreadsheet URL', 'Tab', 'Rows', 'Columns', 'Last Row', 'Last Column',
+  'Frozen Rows', 'Frozen Columns', 'Named Ranges', 'Protected Ranges', 'Protection Editors', 'Data Validations',
+  'Formula Errors', 'External References', 'Status'];
+// Error values a formula can display.
+const FORMULA_ERROR_PATTERN = /^#(N\/A|REF!|VALUE!|DIV\/0!|NAME\?|NUM!|NULL!|ERROR!|SPILL!|CALC!)/;
+// Functions that read data from outside the spreadsheet; the first argument is captured when it is a literal.
+const EXTERNAL_REFERENCE_PATTERN = /\b(IMPORTRANGE|IMPORTDATA|IMPORTHTML|IMPORTXML|IMPORTFEED)\s*\(\s*("([^"]*)")?/gi;
+// Formula error cells listed by address per tab; the rest are only counted.
+const MAX_LISTED_ERROR_CELLS = 20;
+
+/**
+ * Audits the structure of several spreadsheets and writes one row per tab to the 'Spreadsheet Audit' tab.
+ *
+ * For each tab the report lists its size, used range and frozen rows and columns; the named
+ * ranges on it; its protected ranges with their editors; the data validation rules in its data
+ * range, by type; cells whose formulas show an error such as #REF!; and the IMPORTRANGE,
+ * IMPORTDATA, IMPORTHTML, IMPORTXML and IMPORTFEED calls in its formulas, by source. A
+ * spreadsheet that cannot be opened gets one row with the error in Status. The tab is cleared
+ * first. Many spreadsheets are audited as a batch job that resumes on a trigger.
+ *
+ * @param {string} [sources] Spreadsheet links or IDs separated by commas, spaces or line breaks, or one folder link
+ * to audit every spreadsheet directly in that folder. Prompts if not provided.
+ * @return {{ job: Object, outcome: string }|undefined} The batch job result, or undefined if the inputs were invalid.
+ *
+ * @example
+ * auditSpreadsheets('https://docs.google.com/spreadsheets/d/1B2c.../edit, https://docs.google.com/spreadsheets/d/1X9z.../edit');
+ */
+function auditSpreadsheets(sources) {
+  console.log(`Start auditSpreadsheets('${sources}')`);
+  console.time(`auditSpreadsheets() time `);
+
+  const activeSpreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  sources = sources || getUserInput('Enter the spreadsheet links to audit (separated by commas), or one folder link');
+  const links = String(sources || '').split(/[\s,;]+/).filter(link => link !== '');
+  if (links.length === 0) {
+    console.error(`User input for sources was invalid or canceled.`);
+    return;
+  }
+
+  const params = { sheetId: activeSpreadsheet.getId(), tabName: SPREADSHEET_AUDIT_TAB, folderId: '', folderResourceKey: '', spreadsheetIds: [] };
+  try {
+    const first = links.length === 1 ? openDriveItem_(links[0]) : null;
+    // Folders, unlike files, have no MIME type getter.
+    if (first && !first.getMimeType) {
+      params.folderId = first.getId();
+      params.folderResourceKey = first.getResourceKey() || '';
+    } else {
+      params.spreadsheetIds = links.map(link => parseDriveUrl(link).id);
+    }
+  } catch (e) {
+    activeSpreadsheet.toast(`Spreadsheet audit failed: ${e.message}`);
+    console.error(`Abort script due to invalid source link: ${e.message}`);
+    return;
+  }
+
+  prepareReportTab_(activeSpreadsheet, SPREADSHEET_AUDIT_TAB, SPREADSHEET_AUDIT_HEADERS);
+  const result = startBatchJob_('spreadsheetAudit', params);
+  activeSpreadsheet.toast(describeBatchOutcome_('Spreadsheet audit', result));
+
+  console.timeEnd(`auditSpreadsheets() time `);
+  return result;
+}
+
+/**
+ * Audits the next spreadsheet for a spreadsheetAudit batch job and appends its rows.
+ *
+ * Spreadsheets in a folder are listed with a Drive continuation token kept in job.state, so the
+ * folder is not listed again when the job resumes.
+ *
+ * @param {Object} job The batch job state; job.state holds the list position and job.cursor the number of rows written.
+ * @param {Object} context Resources cached across chunks of the same execution.
+ * @return {string} One of the BATCH_OUTCOME values.
+ */
+function processSpreadsheetAuditChunk_(job, context) {
+  const params = job.params;
+  if (!context.sheet) {
+    context.sheet = SpreadsheetApp.openById(params.sheetId).getSheetByName(params.tabName);
+    if (!context.sheet) {
+      throw new Error(`Sheet named '${params.tabName}' was not found in '${params.sheetId}'.`);
+    }
+  }
+  job.state = job.state || { index: 0, token: '' };
+
+  let spreadsheetId;
+  let done;
+  if (params.folderId) {
+    const files = job.state.token
+      ? DriveApp.continueFileIterator(job.state.token)
+      : getDriveFolderById_(params.folderId, params.folderResourceKey).getFilesByType(MimeType.GOOGLE_SHEETS);
+    if (!files.hasNext()) {
+      return BATCH_OUTCOME.DONE;
+    }
+    spreadsheetId = files.next().getId();
+    done = !files.hasNext();
+    job.state.token = files.getContinuationToken();
+  } else {
+    if (job.state.index >= params.spreadsheetIds.length) {
+      return BATCH_OUTCOME.DONE;
+    }
+    spreadsheetId = params.spreadsheetIds[job.state.index];
+    done = job.state.index + 1 >= params.spreadsheetIds.length;
+  }
+  job.state.index++;
+
+  let rows;
+  try {
+    rows = auditSpreadsheetTabs_(SpreadsheetApp.openById(spreadsheetId));
+    job.processed++;
+    console.info(`Audited ${rows.length} tab(s) of '${rows[0][0]}'`);
+  } catch (e) {
+    const row = new Array(SPREADSHEET_AUDIT_HEADERS.length).fill('');
+    row[0] = spreadsheetId;
+    row[row.length - 1] = `Error: ${e.message}`;
+    rows = [row];
+    job.failed++;
+    noteRunRow_(job, job.cursor + 2, e.message);
+    console.error(`Failed to audit spreadsheet '${spreadsheetId}'. Error: ${e.message}`);
+  }
+
+  // Sheets cells hold at most 50,000 characters.
+  rows = rows.map(row => row.map(value => typeof value === 'string' ? value.slice(0, 50000) : value));
+  context.sheet.getRange(job.cursor + 2, 1, rows.length, SPREADSHEET_AUDIT_HEADERS.length).setValues(rows);
+  job.cursor += rows.length;
+
+  return done ? BATCH_OUTCOME.DONE : BATCH_OUTCOME.MORE;
+}
+
+/**
+ * Builds the audit rows of every tab of a spreadsheet, in SPREADSHEET_AUDIT_HEADERS order.
+ *
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet The spreadsheet to audit.
+ * @return {Array<Array<*>>} One row per tab.
+ */
+function auditSpreadsheetTabs_(spreadsheet) {
+  const namedRanges = spreadsheet.getNamedRanges();
+
+  return spreadsheet.getSheets().map(sheet => {
+    const problems = [];
+    const named = namedRanges
+      .filter(named => named.getRange().getSheet().getSheetId() === sheet.getSheetId())
+      .map(named => `${named.getName()} (${named.getRange().getA1Notation()})`);
+
+    let protectedRanges = '';
+    let editors = '';
+    try {
+      const protections = sheet.getProtections(SpreadsheetApp.ProtectionType.SHEET)
+        .concat(sheet.getProtections(SpreadsheetApp.ProtectionType.RANGE));
+      protectedRanges = protections.map(describeProtection_).join('\n');
+      editors = protections.map(protection =>
+        `${describeProtection_(protection)}: ${protection.getEditors().map(user => user.getEmail()).join(', ')}`).join('\n');
+    } catch (e) {
+      problems.push(`Protections unavailable: ${e.message}`);
+    }
+
+    let validations = '';
+    let errors = '';
+    let references = '';
+    if (sheet.getLastRow() > 0 && sheet.getLastColumn() > 0) {
+      const range = sheet.getDataRange();
+      validations = summarizeDataValidations_(range.getDataValidations());
+      const formulas = range.getFormulas();
+      errors = summarizeFormulaErrors_(formulas, range.getDisplayValues());
+      references = summarizeExternalReferences_(formulas);
+    }
+
+    return [
+      spreadsheet.getName(),
+      spreadsheet.getUrl(),
+      sheet.getName(),
+      sheet.getMaxRows(),
+      sheet.getMaxColumns(),
+      sheet.getLastRow(),
+      sheet.getLastColumn(),
+      sheet.getFrozenRows(),
+      sheet.getFrozenColumns(),
+      named.join('\n'),
+      protectedRanges,
+      editors,
+      validations,
+      errors,
+      references,
+      problems.join(' ')
+    ];
+  });
+}
+
+/**
+ * Describes a protection as 'Whole tab' or its range, with its description and whether it only warns.
+ *
+ * @param {GoogleAppsScript.Spreadsheet.Protection} protection The protection.
+ * @return {string} The description, e.g. 'A1:D1 "Headers" (warning only)'.
+ */
+function describeProtection_(protection) {
+  const where = protection.getProtectionType() === SpreadsheetApp.ProtectionType.SHEET
+    ? 'Whole tab'
+    : protection.getRange().getA1Notation();
+  const description = protection.getDescription() ? ` "${protection.getDescription()}"` : '';
+  return `${where}${description}${protection.isWarningOnly() ? ' (warning only)' : ''}`;
+}
+
+/**
+ * Counts the cells with each type of data validation rule.
+ *
+ * @param {Array<Array<GoogleAppsScript.Spreadsheet.DataValidation>>} rules The rules of a range; null for cells without one.
+ * @return {string} One 'TYPE: n cell(s)' line per rule type, e.g. 'VALUE_IN_LIST: 40 cell(s)'.
+ */
+function summarizeDataValidations_(rules) {
+  const counts = {};
+  rules.forEach(row => row.forEach(rule => {
+    if (rule) {
+      const type = rule.getCriteriaType().name();
+      counts[type] = (counts[type] || 0) + 1;
+    }
+  }));
+  return Object.keys(counts).map(type => `${type}: ${counts[type]} cell(s)`).join('\n');
+}
+
+/**
+ * Finds the formula cells that display an error value.
+ *
+ * @param {Array<Array<string>>} formulas The formulas of a range starting at A1; '' for cells without one.
+ * @param {Array<Array<string>>} displayValues The display values of the same range.
+ * @return {string} The count and the first cells with their error, e.g. '2: B4 #REF!, C7 #N/A'; '' when there are none.
+ */
+function summarizeFormulaErrors_(formulas, displayValues) {
+  const cells = [];
+  formulas.forEach((row, r) => row.forEach((formula, c) => {
+    const match = formula ? String(displayValues[r][c]).match(FORMULA_ERROR_PATTERN) : null;
+    if (match) {
+      cells.push(`${toA1Notation_(r + 1, c + 1)} ${match[0]}`);
+    }
+  }));
+  if (cells.length === 0) {
+    return '';
+  }
+  const more = cells.length > MAX_LISTED_ERROR_CELLS ? ', …' : '';
+  return `${cells.length}: ${cells.slice(0, MAX_LISTED_ERROR_CELLS).join(', ')}${more}`;
+}
+
+/**
+ * Lists the external data functions used in formulas, grouped by function and source.
+ *
+ * IMPORTRANGE sources are reduced to the spreadsheet ID when they are a link. A source built by
+ * a formula or taken from another cell is shown as '(from a cell or formula)'.
+ *
+ * @param {Array<Array<string>>} formulas The formulas of a range; '' for cells without one.
+ * @return {string} One 'FUNCTION source: n cell(s)' line per function and source.
+ */
+function summarizeExternalReferences_(formulas) {
+  const counts = {};
+  formulas.forEach(row => row.forEach(formula => {
+    if (!formula) {
+      return;
+    }
+    const seen = new Set();
+    for (const match of formula.matchAll(EXTERNAL_REFERENCE_PATTERN)) {
+      const fn = match[1].toUpperCase();
+      let source = match[3] === undefined ? '(from a cell or formula)' : match[3];
+      if (fn === 'IMPORTRANGE' && match[3] !== undefined) {
+        try {
+          source = parseDriveUrl(source).id;
+        } catch (e) {
+          // Keep the text as written; IMPORTRANGE will show its own error.
+        }
+      }
+      seen.add(`${fn} ${source}`);
+    }
+    seen.forEach(key => counts[key] = (counts[key] || 0) + 1);
+  }));
+  return Object.keys(counts).map(key => `${key}: ${counts[key]} cell(s)`).join('\n');
+}
+
+/**
+ * Converts a 1-based row and column to A1 notation.
+ *
+ * @param {number} row The row number.
+ * @param {number} column The column number.
+ * @return {string} The cell address, e.g. 'AB12'.
+ */
+function toA1Notation_(row, column) {
+  let letters = '';
+  for (let n = column; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + (n - 1) % 26) + letters;
+  }
+  return `${letters}${row}`;
+}
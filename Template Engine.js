@@ -0,0 +1,337 @@
+/**
+ * Template rendering for mail merge and other {{placeholder}} templates.
+ *
+ * This file uses no Apps Script services so that it can also be loaded with plain Node
+ * (see the module.exports block at the end) and unit tested outside of Apps Script.
+ *
+ * Syntax:
+ *   {{Key}}                          The value of the Key column.
+ *   {{Key|fallback text}}            The fallback text when the value is blank or the key is missing.
+ *   {{Key|date:yyyy-MM-dd}}          The value formatted as a date (see formatTemplateDate_).
+ *   {{Key|number:2}}                 The value formatted as a number with 2 decimals and thousands separators.
+ *   {{Key|number:2|n/a}}             Filters and a fallback can be combined.
+ *   {{Key|Mon | Wed}}                The fallback is everything after the filters, '|' included.
+ *   {{#if Key}}...{{else}}...{{/if}} A block shown only when the value of Key is not blank.
+ *
+ * Keys are matched exactly against the data object, so they are usually sheet header names.
+ * A placeholder whose key is missing from the data and has no fallback is an error.
+ */
+
+const TEMPLATE_TAG_PATTERN_ = /{{\s*([^{}]*?)\s*}}/g;
+const TEMPLATE_FILTER_PATTERN_ = /^(date|number)(?::(.*))?$/;
+const TEMPLATE_MONTHS_ = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+  'August', 'September', 'October', 'November', 'December'];
+
+/**
+ * Renders a template string with values from a data object.
+ *
+ * In html mode, values are HTML-escaped and their line breaks become <br>, and HTML entities
+ * inside {{...}} tags (as written by Gmail, e.g. &amp;) are decoded before the tag is read.
+ * Fallback text is decoded with the tag and escaped again like a value, so it cannot add markup.
+ *
+ * @param {string} template The template string.
+ * @param {Object} data An object with key-value pairs, usually a sheet row keyed by header.
+ * @param {{ html: (boolean|undefined) }} [options] Set html to true when rendering an HTML body.
+ * @returns {string} The rendered string.
+ *
+ * @throws {Error} If the template is malformed, uses unknown placeholders, or a value cannot be
+ * formatted. The message lists every problem; error.templateErrors holds them as an array.
+ *
+ * @example
+ * renderTemplate('Hi {{Name|there}}{{#if Company}} from {{Company}}{{/if}}!', { Name: '', Company: 'Acme' });
+ * // 'Hi there from Acme!'
+ */
+function renderTemplate(template, data, options) {
+  const html = Boolean(options && options.html);
+  const errors = [];
+  const nodes = parseTemplate_(String(template), html);
+  const output = renderTemplateNodes_(nodes, data || {}, html, errors);
+
+  if (errors.length > 0) {
+    const error = new Error(`Template error: ${errors.join('; ')}`);
+    error.templateErrors = errors;
+    throw error;
+  }
+  return output;
+}
+
+/**
+ * Lists the value placeholders of a template, including those inside {{#if}} blocks.
+ *
+ * @param {string} template The template string.
+ * @param {{ html: (boolean|undefined) }} [options] Set html to true for an HTML body.
+ * @returns {Array<{ key: string, fallback: (string|undefined) }>} The placeholders in order of appearance.
+ *
+ * @throws {Error} If the template is malformed.
+ *
+ * @example
+ * listTemplatePlaceholders('{{Name|there}} {{Total|number:2}}');
+ * // [{ key: 'Name', fallback: 'there' }, { key: 'Total', fallback: undefined }]
+ */
+function listTemplatePlaceholders(template, options) {
+  const placeholders = [];
+  const visit = nodes => nodes.forEach(node => {
+    if (node.type === 'value') {
+      placeholders.push({ key: node.key, fallback: node.fallback });
+    } else if (node.type === 'if') {
+      visit(node.then);
+      visit(node.otherwise);
+    }
+  });
+  visit(parseTemplate_(String(template), Boolean(options && options.html)));
+  return placeholders;
+}
+
+/**
+ * Parses a template into a tree of text, value and if nodes.
+ *
+ * @param {string} template The template string.
+ * @param {boolean} html Whether tag contents are HTML-encoded.
+ * @returns {Array<Object>} The top-level nodes.
+ * @throws {Error} If {{#if}}, {{else}} and {{/if}} tags are not balanced.
+ */
+function parseTemplate_(template, html) {
+  const root = { then: [], otherwise: [] };
+  const stack = [{ node: root, branch: root.then }];
+  let lastIndex = 0;
+  let match;
+
+  TEMPLATE_TAG_PATTERN_.lastIndex = 0;
+  while ((match = TEMPLATE_TAG_PATTERN_.exec(template)) !== null) {
+    const top = stack[stack.length - 1];
+    if (match.index > lastIndex) {
+      top.branch.push({ type: 'text', value: template.slice(lastIndex, match.index) });
+    }
+    lastIndex = TEMPLATE_TAG_PATTERN_.lastIndex;
+
+    const tag = html ? decodeHtmlEntities_(match[1]).trim() : match[1];
+    const ifMatch = tag.match(/^#if\s+(.+)$/);
+
+    if (ifMatch) {
+      const node = { type: 'if', key: ifMatch[1].trim(), then: [], otherwise: [] };
+      top.branch.push(node);
+      stack.push({ node: node, branch: node.then });
+    } else if (tag === 'else') {
+      if (stack.length === 1 || top.branch === top.node.otherwise) {
+        throw new Error(`Template error: unexpected {{else}} at position ${match.index}`);
+      }
+      top.branch = top.node.otherwise;
+    } else if (tag === '/if') {
+      if (stack.length === 1) {
+        throw new Error(`Template error: unexpected {{/if}} at position ${match.index}`);
+      }
+      stack.pop();
+    } else {
+      top.branch.push(parseTemplateValue_(tag));
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Template error: {{#if ${stack[stack.length - 1].node.key}}} is missing its {{/if}}`);
+  }
+  if (lastIndex < template.length) {
+    root.then.push({ type: 'text', value: template.slice(lastIndex) });
+  }
+  return root.then;
+}
+
+/**
+ * Parses the contents of a value tag such as 'Total|number:2|n/a'.
+ *
+ * The key ends at the first '|'. Each following segment that names a known filter is a filter;
+ * the first one that does not starts the fallback, which runs to the end of the tag.
+ *
+ * @param {string} tag The tag contents without braces.
+ * @returns {{ type: string, key: string, filters: Array<{ name: string, arg: (string|undefined) }>, fallback: (string|undefined) }} The value node.
+ */
+function parseTemplateValue_(tag) {
+  const separator = tag.indexOf('|');
+  const node = { type: 'value', key: (separator < 0 ? tag : tag.slice(0, separator)).trim(), filters: [], fallback: undefined };
+  let rest = separator < 0 ? undefined : tag.slice(separator + 1);
+
+  while (rest !== undefined) {
+    const next = rest.indexOf('|');
+    const filter = (next < 0 ? rest : rest.slice(0, next)).trim().match(TEMPLATE_FILTER_PATTERN_);
+    if (!filter) {
+      node.fallback = rest;
+      break;
+    }
+    node.filters.push({ name: filter[1], arg: filter[2] });
+    rest = next < 0 ? undefined : rest.slice(next + 1);
+  }
+  return node;
+}
+
+/**
+ * Renders parsed nodes, collecting problems instead of stopping at the first one.
+ *
+ * @param {Array<Object>} nodes The nodes to render.
+ * @param {Object} data The data object.
+ * @param {boolean} html Whether to HTML-escape values.
+ * @param {Array<string>} errors Receives a message for each problem found.
+ * @returns {string} The rendered string.
+ */
+function renderTemplateNodes_(nodes, data, html, errors) {
+  return nodes.map(node => {
+    if (node.type === 'text') {
+      return node.value;
+    }
+
+    if (node.type === 'if') {
+      if (!Object.prototype.hasOwnProperty.call(data, node.key)) {
+        errors.push(`unknown placeholder {{#if ${node.key}}}`);
+        return '';
+      }
+      const branch = isBlankTemplateValue_(data[node.key]) ? node.otherwise : node.then;
+      return renderTemplateNodes_(branch, data, html, errors);
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(data, node.key)) {
+      if (node.fallback === undefined) {
+        errors.push(`unknown placeholder {{${node.key}}}`);
+      }
+      return formatTemplateText_(node.fallback || '', html);
+    }
+
+    const value = data[node.key];
+    if (isBlankTemplateValue_(value)) {
+      return formatTemplateText_(node.fallback || '', html);
+    }
+
+    let text = value;
+    try {
+      node.filters.forEach(filter => {
+        text = filter.name === 'date'
+          ? formatTemplateDate_(text, filter.arg || 'yyyy-MM-dd')
+          : formatTemplateNumber_(text, filter.arg);
+      });
+    } catch (e) {
+      errors.push(`${e.message} in {{${node.key}}}`);
+      return '';
+    }
+
+    return formatTemplateText_(String(text), html);
+  }).join('');
+}
+
+/**
+ * Prepares a value or fallback text for output.
+ *
+ * @param {string} text The text.
+ * @param {boolean} html Whether to HTML-escape the text and turn its line breaks into <br>.
+ * @returns {string} The text to output.
+ */
+function formatTemplateText_(text, html) {
+  return html ? escapeHtml_(text).replace(/\r?\n/g, '<br>') : text;
+}
+
+/**
+ * Formats a date value with a pattern.
+ *
+ * Supported tokens: yyyy, yy, MMMM (January), MMM (Jan), MM, M, dd, d, HH, H, hh, h, mm, ss
+ * and a (AM/PM). Text in single quotes is copied literally, e.g. "d MMMM yyyy 'at' HH:mm".
+ * A date-only 'yyyy-MM-dd' string is read as that day in the script's time zone; Date would
+ * read it as midnight UTC, which is the previous day west of Greenwich.
+ *
+ * @param {Date|string|number} value A Date, or a string or timestamp that Date can parse.
+ * @param {string} pattern The date pattern.
+ * @returns {string} The formatted date.
+ * @throws {Error} If the value is not a valid date.
+ *
+ * @example
+ * formatTemplateDate_('2026-01-05', 'd MMMM yyyy'); // '5 January 2026'
+ * formatTemplateDate_(new Date(2026, 0, 5, 14, 30), "MMM d 'at' h:mm a"); // 'Jan 5 at 2:30 PM'
+ */
+function formatTemplateDate_(value, pattern) {
+  const dateOnly = String(value).trim().match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  const date = value instanceof Date ? value
+    : dateOnly ? new Date(Number(dateOnly[1]), Number(dateOnly[2]) - 1, Number(dateOnly[3]))
+    : new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`cannot format '${value}' as a date`);
+  }
+
+  const pad = n => (n < 10 ? '0' : '') + n;
+  const hours12 = date.getHours() % 12 || 12;
+  const tokens = {
+    yyyy: String(date.getFullYear()),
+    yy: String(date.getFullYear()).slice(-2),
+    MMMM: TEMPLATE_MONTHS_[date.getMonth()],
+    MMM: TEMPLATE_MONTHS_[date.getMonth()].slice(0, 3),
+    MM: pad(date.getMonth() + 1),
+    M: String(date.getMonth() + 1),
+    dd: pad(date.getDate()),
+    d: String(date.getDate()),
+    HH: pad(date.getHours()),
+    H: String(date.getHours()),
+    hh: pad(hours12),
+    h: String(hours12),
+    mm: pad(date.getMinutes()),
+    ss: pad(date.getSeconds()),
+    a: date.getHours() < 12 ? 'AM' : 'PM'
+  };
+
+  return pattern.replace(/'[^']*'|yyyy|yy|MMMM|MMM|MM|M|dd|d|HH|H|hh|h|mm|ss|a/g,
+    token => token.charAt(0) === "'" ? token.slice(1, -1) : tokens[token]);
+}
+
+/**
+ * Formats a number with a fixed number of decimals and comma thousands separators.
+ *
+ * Commas, spaces and a leading currency symbol in the value are ignored when parsing.
+ *
+ * @param {string|number} value The number or numeric string.
+ * @param {string} [decimals] The number of decimals; defaults to 0.
+ * @returns {string} The formatted number, e.g. '1,234.50'.
+ * @throws {Error} If the value is not a number.
+ */
+function formatTemplateNumber_(value, decimals) {
+  const number = Number(String(value).replace(/[,\s]/g, '').replace(/^([-+]?)[$€£¥]/, '$1'));
+  if (String(value).trim() === '' || isNaN(number)) {
+    throw new Error(`cannot format '${value}' as a number`);
+  }
+
+  const parts = number.toFixed(Math.min(Math.max(parseInt(decimals, 10) || 0, 0), 20)).split('.');
+  parts[0] = parts[0].replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+  return parts.join('.');
+}
+
+/**
+ * Checks whether a value counts as blank for fallbacks and {{#if}} blocks.
+ *
+ * @param {*} value The value.
+ * @returns {boolean} True for undefined, null and whitespace-only strings.
+ */
+function isBlankTemplateValue_(value) {
+  return value === undefined || value === null || String(value).trim() === '';
+}
+
+/**
+ * Escapes the characters that are special in HTML text and attributes.
+ *
+ * @param {string} text The text to escape.
+ * @returns {string} The escaped text.
+ */
+function escapeHtml_(text) {
+  return text.replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+/**
+ * Decodes the HTML entities Gmail writes inside template tags.
+ *
+ * @param {string} text The HTML-encoded text.
+ * @returns {string} The decoded text.
+ */
+function decodeHtmlEntities_(text) {
+  return text
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#0?39;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { renderTemplate, listTemplatePlaceholders };
+}
@@ -20,16 +20,40 @@
 function onOpen(e) {
   var ui = SpreadsheetApp.getUi();
   ui.createMenu('🗂️ Drive utilities 🗂️')
-    .addItem('📑 Create named files', 'copyFiles')
-    .addItem('📂 Create named subfolders', 'copyFolders')
+    .addItem('📑 Create named files', 'showCopyFilesSidebar')
+    .addItem('📂 Create named subfolders', 'showCopyFoldersSidebar')
+    .addItem('🌳 Copy folder tree', 'copyFolderTree')
     .addSeparator()
     .addItem('🔗 Retrieve File links', 'retrieveFiles')
     .addItem('🔗 Retrieve Subfolder links', 'retrieveFolders')
+    .addItem('🗃️ Export Drive inventory', 'exportDriveInventory')
+    .addItem('🔐 Audit sharing', 'auditSharing')
+    .addItem('📊 Audit spreadsheet structure', 'auditSpreadsheets')
+    .addItem('🔐 Apply sharing changes', 'applySharingChanges')
+    .addItem('🔍 Preview Drive actions', 'previewDriveActions')
+    .addItem('🧹 Apply Drive actions', 'applyDriveActions')
     .addSeparator()
-    .addItem('📑 Create Copies', 'createCopies')
+    .addItem('📑 Create Copies', 'showCreateCopiesSidebar')
+    .addItem('📄 Export files to PDF/Office', 'exportFiles')
+    .addItem('📝 Export form definition', 'exportFormDefinition')
+    .addItem('📝 Build form from definition', 'buildFormFromDefinition')
+    .addSeparator()
+    .addItem('💾 Run saved job', 'runSelectedJob')
+    .addItem('💾 Set up Jobs tab', 'setUpJobsTab')
+    .addItem('📋 Toggle run summary emails', 'toggleRunSummaryEmails')
+    .addItem('🔑 Set web app secret', 'setWebAppSecret')
     .addToUi();
   ui.createMenu('📧 Gmail utilities 📧')
-      .addItem('📧 Send mail merge', 'sendEmails')
+      .addItem('📧 Send mail merge', 'showMailMergeSidebar')
+      .addItem('🔍 Preview mail merge', 'previewEmails')
+      .addItem('🗒️ List Gmail drafts', 'listGmailDrafts')
+      .addItem('📬 Scan replies and bounces', 'scanMergeReplies')
+      .addItem('↩️ Send follow-ups', 'sendFollowUps')
+      .addSeparator()
+      .addItem('⏰ Schedule mail merge', 'scheduleMailMerge')
+      .addItem('📨 Send mail merge on new rows', 'enableSendOnNewRow')
+      .addItem('🗓️ Manage scheduled merges', 'manageScheduledMerges')
+      .addSeparator()
       .addItem('Display Sheet Names','displaySheetNames')
       .addToUi();
 }
@@ -88,28 +112,120 @@ function getUserInput(promptMessage) {
 }
 
 /**
- * Fills a template string with values from the provided data object.
+ * Asks the user a yes/no question and returns their answer.
+ * 
+ * @param {string} promptMessage - The question to display in the dialog.
+ * @return {boolean} True if the user clicked Yes; false for No or closing the dialog.
+ * 
+ * @example
+ * const overwrite = getUserConfirmation("Overwrite existing files?");
+ */
+function getUserConfirmation(promptMessage) {
+  const ui = SpreadsheetApp.getUi();
+  return ui.alert(promptMessage, ui.ButtonSet.YES_NO) == ui.Button.YES;
+}
+
+/**
+ * Fills every field of a template object with values from the provided data object.
  * 
- * This function replaces all occurrences of {{key}} in the template string 
- * with corresponding values from the data object. If a key does not exist in 
- * the object, it will be replaced with an empty string.
+ * Each field is rendered with renderTemplate, so {{key}}, {{key|fallback}}, date and number
+ * filters and {{#if key}} blocks are supported. The 'html' field is rendered in html mode:
+ * its values are HTML-escaped and line breaks become <br>. Other fields are plain text.
  * 
- * @param {string} template The template string containing {{}} markers for replacement.
+ * @param {object} template An object of template strings, e.g. { subject, text, html }.
  * @param {object} data An object with key-value pairs to replace the {{}} markers.
- * @returns {string} The filled template string with the values from the data object.
+ * @returns {object} An object with the same fields, rendered.
+ *
+ * @throws {Error} If a field uses an unknown placeholder, a value cannot be formatted, or a field is malformed.
  *
  * @example
- * const result = fillInTemplateFromObject_('Hello, {{name}}!', { name: 'Alice' });
- * console.log(result); // Output: 'Hello, Alice!'
+ * const result = fillInTemplateFromObject_({ subject: 'Hello, {{name}}!' }, { name: 'Alice' });
+ * console.log(result.subject); // Output: 'Hello, Alice!'
  */
 function fillInTemplateFromObject_(template, data) {
-  let template_string = JSON.stringify(template);
+  return Object.keys(template).reduce((filled, field) => {
+    filled[field] = renderTemplate(template[field], data, { html: field === 'html' });
+    return filled;
+  }, {});
+}
 
-  template_string = template_string.replace(/{{[^{}]+}}/g, key => {
-    const text = data[key.replace(/[{}]+/g, "")] || "";
-    return RegExp.escape(text.replace(/\n/g, '<br>'));
+/**
+ * Lists the placeholders in a template that the data object leaves blank.
+ * 
+ * A placeholder is unresolved when it has no fallback and its key is missing from the
+ * data object or its value is blank, i.e. when it would render as an empty string or fail.
+ * 
+ * @param {string|object} template The template string, or an object of template strings with an optional 'html' field.
+ * @param {object} data An object with key-value pairs used to fill the template.
+ * @returns {Array<string>} The unique keys of unresolved placeholders, in order of appearance.
+ *
+ * @example
+ * findUnresolvedPlaceholders_('Hi {{name}}, re: {{topic}} {{ref|none}}', { name: 'Alice' }); // ['topic']
+ */
+function findUnresolvedPlaceholders_(template, data) {
+  const fields = typeof template === 'string' ? { text: template } : template;
+  const keys = [];
+  Object.keys(fields).forEach(field => {
+    listTemplatePlaceholders(fields[field], { html: field === 'html' })
+      .filter(placeholder => placeholder.fallback === undefined && String(data[placeholder.key] || '').trim() === '')
+      .forEach(placeholder => keys.push(placeholder.key));
   });
-  return JSON.parse(template_string);
+  return [...new Set(keys)];
+}
+
+/**
+ * Escapes the characters that have a special meaning in a regular expression.
+ * 
+ * @param {string} text The literal text to match.
+ * @returns {string} A pattern that matches the text literally.
+ *
+ * @example
+ * escapeRegExp_('{{Total ($)}}'); // '\\{\\{Total \\(\\$\\)\\}\\}'
+ */
+function escapeRegExp_(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Splits a list of email addresses into bare addresses.
+ * 
+ * Entries are separated by commas, semicolons or line breaks (outside double quotes). An entry
+ * in the 'Display Name <address>' form is reduced to the address between the angle brackets.
+ * 
+ * @param {string} value The address list.
+ * @returns {Array<string>} The trimmed, non-empty addresses.
+ *
+ * @example
+ * parseEmailList_('"Doe, Jane" <jane@example.com>; bob@example.com'); // ['jane@example.com', 'bob@example.com']
+ */
+function parseEmailList_(value) {
+  return String(value || '')
+    .split(/[,;\n](?=(?:[^"]*"[^"]*")*[^"]*$)/)
+    .map(entry => {
+      const match = entry.match(/<([^<>]*)>/);
+      return (match ? match[1] : entry).trim();
+    })
+    .filter(address => address !== '');
+}
+
+/**
+ * Checks whether a string looks like a single valid email address.
+ * 
+ * @param {string} address The address to check.
+ * @returns {boolean} True if the address has a local part, an '@' and a dotted domain without spaces.
+ */
+function isValidEmail_(address) {
+  return /^[^\s@<>(),;:"\[\]]+@[^\s@<>(),;:"\[\]]+\.[^\s@<>(),;:"\[\].]{2,}$/.test(String(address));
+}
+
+/**
+ * Interprets a sheet cell as a yes/no flag.
+ * 
+ * @param {*} value The cell value.
+ * @returns {boolean} True for 'TRUE', 'yes', 'y', '1' or 'x' (case-insensitive); otherwise false.
+ */
+function isTruthyCell_(value) {
+  return ['true', 'yes', 'y', '1', 'x'].includes(String(value).trim().toLowerCase());
 }
 
 /**
@@ -126,24 +242,62 @@ function isValidHeaderRow(headers) {
   return uniqueHeaders.size >= 2;
 }
 
+/**
+ * Returns a report tab with a bold, frozen header row, creating it or clearing its contents.
+ *
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet The spreadsheet that holds the tab.
+ * @param {string} tabName The name of the tab.
+ * @param {Array<string>} headers The header row.
+ * @return {GoogleAppsScript.Spreadsheet.Sheet} The prepared tab.
+ */
+function prepareReportTab_(spreadsheet, tabName, headers) {
+  const sheet = spreadsheet.getSheetByName(tabName) || spreadsheet.insertSheet(tabName);
+  sheet.clearContents();
+  sheet.getRange(1, 1, 1, headers.length).setValues([headers]).setFontWeight('bold');
+  sheet.setFrozenRows(1);
+  return sheet;
+}
+
+/**
+ * Finds the columns of the given headers, adding any that are missing to the end of the header row.
+ *
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The tab whose first row holds the headers.
+ * @param {Array<string>} heads The current header row.
+ * @param {Array<string>} headers The headers to find or add.
+ * @return {Object<string, number>} The 0-based column index of each header.
+ */
+function ensureHeaderColumns_(sheet, heads, headers) {
+  let lastColumn = Math.max(sheet.getLastColumn(), heads.length);
+  return headers.reduce((columns, header) => {
+    let index = heads.indexOf(header);
+    if (index === -1) {
+      index = lastColumn++;
+      sheet.getRange(1, index + 1).setValue(header);
+      console.info(`Added column header '${header}' to '${sheet.getName()}'`);
+    }
+    columns[header] = index;
+    return columns;
+  }, {});
+}
+
 /**
  * Converts a 2D array into an array of objects, mapping column headers to cell values.
  *
- * @param {Array<Array<string>>} data A 2D array where the first row contains column headers.
- * @param {string} urlColumn The column index (1-based) of the sheet where the file URLs will be written
- * @param {string} nameHeader The header name for filenames to copy
- * @param {string} urlHeader The header name to receive new copy URLs
+ * Empty or missing cells are mapped to an empty string.
+ *
+ * @param {Array<string>} heads The column headers, usually the first row of the sheet.
+ * @param {Array<Array<string>>} data A 2D array of data rows, without the header row.
  * @returns {Array<Object>} An array of objects representing rows with key-value pairs
  * based on column headers and their corresponding cell values.
  *
  * @example
+ * const heads = ['Name', 'Age', 'City'];
  * const data = [
- *   ['Name', 'Age', 'City'],
  *   ['Alice', '30', 'New York'],
  *   ['Bob', '25', 'San Francisco']
  * ];
  *
- * const result = convertToObjects(data);
+ * const result = mapArraysToObjects(heads, data);
  * console.log(result);
  * // Output:
  * // [
@@ -151,39 +305,8 @@ function isValidHeaderRow(headers) {
  * //   { Name: 'Bob', Age: '25', City: 'San Francisco' }
  * // ]
  */
-function mapArraysToObjects(data, urlColumn, nameHeader, urlHeader) {
-  const obj = data.map(r => (heads.reduce((o, k, i) => (o[k] = r[i] || '', o), {})));
-  const out = [];
-  console.time("Total row processing time");
-  obj.forEach(function (row, rowIdx) {
-    if (row[nameHeader] !== '' && row[urlHeader] === '' && !sheet.isRowHiddenByFilter(rowIdx + 2)) {
-      console.time(`Row '${rowIdx + 2}' processing time `);
-      try {
-        let newFile = template.makeCopy(row[nameHeader].toString(), folder);
-        let fileUrl = newFile.getUrl(); // Get the URL of the newly created file
-        sheet.getRange(rowIdx + 2, parseInt(urlColumn)).setValue(String(fileUrl)); // Write the URL to the specified urlHeader in the corresponding row
-        // formSetup(newFile, responseTarget, newTabName = row[nameHeader].toString());
-
-        out.push([fileUrl]);
-        console.info(`Copy created for '${row[nameHeader]}' (Row ${rowIdx + 2})`);
-      } catch (e) {
-        out.push([e.message] || 'Unknown error occurred');
-        console.error(`Failed to create copy for '${row[nameHeader]}' (Row ${rowIdx + 2}). Error: ${e.message}`);
-      } finally {
-        console.timeEnd(`Row '${rowIdx + 2}' processing time `);
-      }
-    } else {
-      if (row[urlHeader] !== '') {
-        console.log(`Skipping Row ${rowIdx + 2} - Copy already created.`);
-      }
-      if (sheet.isRowHiddenByFilter(rowIdx + 2)) {
-        console.log(`Skipping Row ${rowIdx + 2} - Row hidden by filter.`);
-      }
-      out.push([row[urlHeader]] || '');
-    }
-  });
-
-  return out;
+function mapArraysToObjects(heads, data) {
+  return data.map(r => (heads.reduce((o, k, i) => (o[k] = r[i] || '', o), {})));
 }
 
 // console.time(`START: `); // start a process timer
@@ -0,0 +1,319 @@
+/**
+ * @OnlyCurrentDoc
+ * Indicates that this automation will only attempt to read or modify the spreadsheet this script is bound to.
+ * The authorization request message presented to users reflects the limited scope.
+ */
+
+// Script property holding the shared secret that every doPost request must send as 'token'.
+const WEB_APP_SECRET_PROPERTY = 'webAppSecret';
+
+// Actions accepted by doPost, with the parameters each one requires.
+const WEB_APP_ACTIONS = Object.freeze({
+  copyFiles: ['templateFileUrl', 'filenamesSheetUrl', 'filenamesTabName', 'filenamesRange', 'destinationFolderUrl', 'urlWriteColumn'],
+  createFolders: ['foldersSheetUrl', 'foldersTabName', 'foldernamesRange', 'urlWriteColumn', 'destinationFolderUrl'],
+  listFolder: ['folderUrl'],
+  sendMerge: ['subjectLine', 'sheetUrl', 'tabName', 'recipientCol', 'sentCol'],
+  jobStatus: ['jobId']
+});
+
+/**
+ * Runs a job requested by another system and returns the result as JSON.
+ *
+ * The request body is a JSON object { token, action, params }, where token is the shared secret
+ * set with setWebAppSecret, action is one of WEB_APP_ACTIONS and params holds the values the
+ * matching menu utility would prompt for. Requests without the right token are rejected before
+ * anything else, and every request is rejected until a secret has been set. Every required
+ * parameter must be given; nothing is prompted and no dialog or toast is shown. The same logic
+ * as the menus runs: copyFiles and createFolders write URLs back to the sheet and to the 'Run
+ * Log' tab of that spreadsheet, and sendMerge starts a mail merge batch job that resumes on a
+ * trigger when it cannot finish within this request.
+ *
+ * The response is { ok: true, action, result } or { ok: false, action, error }. Row-based
+ * actions return one entry per row in result.rows; sendMerge returns the job counts and the
+ * skipped or failed rows grouped by reason, and jobStatus reports on a job that is still running,
+ * or 'ended' once it has finished or failed.
+ *
+ * Deployed as a web app that runs as the deploying user and is open to users in the domain
+ * (see appsscript.json), so the token is what keeps other users of the domain from sending mail
+ * or changing Drive as the deploying user.
+ *
+ * @param {GoogleAppsScript.Events.DoPost} e The request event.
+ * @return {GoogleAppsScript.Content.TextOutput} The JSON response.
+ *
+ * @example
+ * // POST https://script.google.com/macros/s/<deployment id>/exec
+ * // { "token": "<secret>", "action": "createFolders", "params": { "foldersSheetUrl": "https://docs.google.com/spreadsheets/d/1B2c.../edit",
+ * //   "foldersTabName": "Clients", "foldernamesRange": "A2:A20", "urlWriteColumn": 2,
+ * //   "destinationFolderUrl": "https://drive.google.com/drive/folders/1X9z..." } }
+ */
+function doPost(e) {
+  let request;
+  try {
+    request = JSON.parse((e && e.postData && e.postData.contents) || '');
+  } catch (err) {
+    return webAppResponse_({ ok: false, action: '', error: `The request body is not valid JSON: ${err.message}` });
+  }
+
+  const action = String((request && request.action) || '');
+  const params = (request && request.params) || {};
+
+  if (!isWebAppTokenValid_(request && request.token)) {
+    console.error(`Rejected web app request for '${action}': missing or wrong token`);
+    return webAppResponse_({ ok: false, action: action, error: 'Missing or wrong token.' });
+  }
+  console.log(`Start doPost('${action}', '${JSON.stringify(params)}')`);
+
+  const error = validateWebAppRequest_(action, params);
+  if (error) {
+    console.error(`Rejected web app request: ${error}`);
+    return webAppResponse_({ ok: false, action: action, error: error });
+  }
+
+  try {
+    return webAppResponse_({ ok: true, action: action, result: runWebAppAction_(action, params) });
+  } catch (err) {
+    console.error(`Web app action '${action}' failed. Error: ${err.message}`);
+    return webAppResponse_({ ok: false, action: action, error: err.message });
+  }
+}
+
+/**
+ * Describes the actions the web app accepts, so a caller can check the deployment is reachable.
+ *
+ * @param {GoogleAppsScript.Events.DoGet} e The request event.
+ * @return {GoogleAppsScript.Content.TextOutput} The JSON response: { ok: true, actions: { action: [required params] } }.
+ */
+function doGet(e) {
+  return webAppResponse_({ ok: true, actions: WEB_APP_ACTIONS });
+}
+
+/**
+ * Generates a new shared secret for the web app, saves it in the script properties and shows it once.
+ *
+ * Callers send it as the 'token' field of each request. Running this again replaces the secret,
+ * so callers using the old one are rejected.
+ *
+ * @return {void} This function does not return a value.
+ */
+function setWebAppSecret() {
+  if (!getUserConfirmation('Generate a new web app secret? Callers using the current one will be rejected.')) {
+    return;
+  }
+  const secret = Utilities.getUuid().replace(/-/g, '') + Utilities.getUuid().replace(/-/g, '');
+  PropertiesService.getScriptProperties().setProperty(WEB_APP_SECRET_PROPERTY, secret);
+  console.info(`A new web app secret was set`);
+  SpreadsheetApp.getUi().alert(`Send this value as "token" in every web app request. It is not shown again:\n\n${secret}`);
+}
+
+/**
+ * Compares a request token with the web app secret, in time that does not depend on where they differ.
+ *
+ * @param {*} token The token sent with the request.
+ * @return {boolean} True if a secret is set and the token matches it.
+ */
+function isWebAppTokenValid_(token) {
+  const secret = PropertiesService.getScriptProperties().getProperty(WEB_APP_SECRET_PROPERTY);
+  if (!secret || typeof token !== 'string') {
+    return false;
+  }
+  const digest = text => Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, text, Utilities.Charset.UTF_8);
+  const expected = digest(secret);
+  const actual = digest(token);
+  let difference = 0;
+  for (let i = 0; i < expected.length; i++) {
+    difference |= expected[i] ^ actual[i];
+  }
+  return difference === 0;
+}
+
+/**
+ * Checks that a web app request names a known action and has every parameter it requires.
+ *
+ * @param {string} action The requested action.
+ * @param {Object} params The request parameters.
+ * @return {string} A description of the problem, or an empty string if the request is valid.
+ */
+function validateWebAppRequest_(action, params) {
+  if (!Object.prototype.hasOwnProperty.call(WEB_APP_ACTIONS, action)) {
+    return `Unknown action '${action}'. Use one of: ${Object.keys(WEB_APP_ACTIONS).join(', ')}.`;
+  }
+  if (typeof params !== 'object' || Array.isArray(params)) {
+    return `params must be a JSON object.`;
+  }
+  const missing = WEB_APP_ACTIONS[action].filter(name => params[name] === undefined || String(params[name]).trim() === '');
+  if (missing.length > 0) {
+    return `Missing required parameter(s) for '${action}': ${missing.join(', ')}.`;
+  }
+  if (params.urlWriteColumn !== undefined && !(parseInt(params.urlWriteColumn) >= 1)) {
+    return `urlWriteColumn must be a column number of 1 or more, not '${params.urlWriteColumn}'.`;
+  }
+  if (action === 'listFolder' && params.kind && !['files', 'folders'].includes(params.kind)) {
+    return `kind must be 'files' or 'folders', not '${params.kind}'.`;
+  }
+  return '';
+}
+
+/**
+ * Runs a validated web app action.
+ *
+ * @param {string} action One of WEB_APP_ACTIONS.
+ * @param {Object} params The request parameters.
+ * @return {Object} The action's result.
+ * @throws {Error} If a file, folder, sheet or draft cannot be found, or the action fails.
+ */
+function runWebAppAction_(action, params) {
+  switch (action) {
+    case 'copyFiles':
+      return webAppCopyFiles_(params);
+    case 'createFolders':
+      return webAppCreateFolders_(params);
+    case 'listFolder': {
+      const folder = openDriveFolder_(params.folderUrl);
+      const kind = params.kind || 'files';
+      return { folder: folder.getName(), kind: kind, items: listFolderItems_(folder, kind) };
+    }
+    case 'sendMerge':
+      return webAppSendMerge_(params);
+    case 'jobStatus': {
+      const job = listBatchJobs_().find(job => job.id === params.jobId);
+      if (!job) {
+        // Jobs are removed when they finish or fail; their summary is in the 'Run Log' tab.
+        return { jobId: params.jobId, status: 'ended' };
+      }
+      return describeWebAppJob_(job, BATCH_OUTCOME.MORE);
+    }
+    default:
+      throw new Error(`Unknown action '${action}'`);
+  }
+}
+
+/**
+ * Copies a template once per filename, like copyFiles, and returns the outcome of each row.
+ *
+ * @param {Object} params The copyFiles parameters, with an optional duplicatePolicy (blank means skip).
+ * @return {{ processed: number, skipped: number, failed: number, rows: Array<Object> }} The counts and per-row outcomes.
+ */
+function webAppCopyFiles_(params) {
+  const duplicatePolicy = normalizeDuplicatePolicy_(params.duplicatePolicy);
+  const templateFile = openDriveFile_(params.templateFileUrl);
+  const spreadsheet = openSpreadsheet_(params.filenamesSheetUrl);
+  const sheet = getWebAppSheet_(spreadsheet, params.filenamesTabName);
+  const range = sheet.getRange(String(params.filenamesRange));
+  const destinationFolder = openDriveFolder_(params.destinationFolderUrl);
+
+  const run = newRunLog_('copyFiles', Object.assign({}, params, { duplicatePolicy: duplicatePolicy, sheetId: spreadsheet.getId() }));
+  const rows = copyFilesToRange_(templateFile, sheet, range, destinationFolder, params.urlWriteColumn, duplicatePolicy, run);
+  return { processed: run.processed, skipped: run.skipped, failed: run.failed, rows: rows };
+}
+
+/**
+ * Creates the folder path named on each row, like copyFolders, and returns the outcome of each row.
+ *
+ * @param {Object} params The copyFolders parameters.
+ * @return {{ processed: number, skipped: number, failed: number, rows: Array<Object> }} The counts and per-row outcomes.
+ */
+function webAppCreateFolders_(params) {
+  const spreadsheet = openSpreadsheet_(params.foldersSheetUrl);
+  const sheet = getWebAppSheet_(spreadsheet, params.foldersTabName);
+  const range = sheet.getRange(String(params.foldernamesRange));
+  const destinationFolder = openDriveFolder_(params.destinationFolderUrl);
+
+  const run = newRunLog_('copyFolders', Object.assign({}, params, { sheetId: spreadsheet.getId() }));
+  const rows = createFoldersInRange_(sheet, range, destinationFolder, params.urlWriteColumn, run);
+  return { processed: run.processed, skipped: run.skipped, failed: run.failed, rows: rows };
+}
+
+/**
+ * Checks the draft and headers of a mail merge, like sendEmails does, and starts it as a batch job.
+ *
+ * A merge of a tab that already has an unfinished mail merge job is refused, so rows are never
+ * sent twice.
+ *
+ * @param {Object} params The sendMerge parameters, with an optional dedupePolicy (blank means address).
+ * @return {Object} The job summary from describeWebAppJob_.
+ * @throws {Error} If the tab, draft or a column is missing, or the tab is already being merged.
+ */
+function webAppSendMerge_(params) {
+  const dedupePolicy = normalizeMergeDedupePolicy_(params.dedupePolicy);
+  const spreadsheet = openSpreadsheet_(params.sheetUrl);
+  const sheet = getWebAppSheet_(spreadsheet, params.tabName);
+  if (!getGmailTemplateFromDrafts_(params.subjectLine)) {
+    throw new Error(`No Gmail draft found with subject '${params.subjectLine}'`);
+  }
+  const heads = sheet.getRange(1, 1, 1, Math.max(sheet.getLastColumn(), 1)).getDisplayValues()[0];
+  const missing = [params.recipientCol, params.sentCol].filter(header => !heads.includes(header));
+  if (missing.length > 0) {
+    throw new Error(`Missing column header: '${missing.join("', '")}'`);
+  }
+  const running = listBatchJobs_().find(job => job.type === 'sendEmails' &&
+    job.params.sheetId === spreadsheet.getId() && job.params.tabName === sheet.getName());
+  if (running) {
+    throw new Error(`Tab '${sheet.getName()}' already has an unfinished mail merge: job '${running.id}'`);
+  }
+
+  const result = startBatchJob_('sendEmails', {
+    sheetId: spreadsheet.getId(),
+    tabName: sheet.getName(),
+    subjectLine: params.subjectLine,
+    recipientCol: params.recipientCol,
+    sentCol: params.sentCol,
+    dedupePolicy: dedupePolicy
+  });
+  console.info(describeBatchOutcome_('Mail merge', result));
+  return describeWebAppJob_(result.job, result.outcome);
+}
+
+/**
+ * Summarizes a batch job for a web app response.
+ *
+ * @param {Object} job The batch job state.
+ * @param {string} outcome One of the BATCH_OUTCOME values.
+ * @return {Object} The job ID, outcome, status ('finished', 'running' or 'failed'), next row, counts,
+ * the skipped or failed rows grouped by reason and a readable summary.
+ */
+function describeWebAppJob_(job, outcome) {
+  let status = 'running';
+  if (outcome === BATCH_OUTCOME.DONE) {
+    status = 'finished';
+  } else if (outcome === BATCH_OUTCOME.FAILED) {
+    status = 'failed';
+  }
+  return {
+    jobId: job.id,
+    type: job.type,
+    outcome: outcome,
+    status: status,
+    nextRow: job.cursor + 2,
+    processed: job.processed,
+    skipped: job.skipped,
+    failed: job.failed,
+    reasons: job.reasons || {},
+    summary: describeBatchOutcome_(job.type, { job: job, outcome: outcome })
+  };
+}
+
+/**
+ * Returns a tab of a spreadsheet named in a web app request.
+ *
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet The spreadsheet.
+ * @param {string} tabName The tab name.
+ * @return {GoogleAppsScript.Spreadsheet.Sheet} The tab.
+ * @throws {Error} If the spreadsheet has no tab of that name.
+ */
+function getWebAppSheet_(spreadsheet, tabName) {
+  const sheet = spreadsheet.getSheetByName(String(tabName));
+  if (!sheet) {
+    throw new Error(`Tab '${tabName}' was not found in '${spreadsheet.getName()}'`);
+  }
+  return sheet;
+}
+
+/**
+ * Serializes a web app response as JSON.
+ *
+ * @param {Object} body The response body.
+ * @return {GoogleAppsScript.Content.TextOutput} The JSON output.
+ */
+function webAppResponse_(body) {
+  return ContentService.createTextOutput(JSON.stringify(body)).setMimeType(ContentService.MimeType.JSON);
+}
@@ -0,0 +1,83 @@
+/**
+ * Unit tests for Template Engine.js. Run with `npm test` (Node 18 or later).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { renderTemplate, listTemplatePlaceholders } = require('../Template Engine.js');
+
+test('inserts values by key', () => {
+  assert.strictEqual(renderTemplate('Hi {{Name}}, from {{ Company }}', { Name: 'Ann', Company: 'Acme' }), 'Hi Ann, from Acme');
+});
+
+test('escapes values and turns line breaks into <br> in html mode', () => {
+  const data = { Name: '<b>Ann & "Bo"</b>\nSecond line' };
+  assert.strictEqual(renderTemplate('<p>{{Name}}</p>', data, { html: true }),
+    '<p>&lt;b&gt;Ann &amp; &quot;Bo&quot;&lt;/b&gt;<br>Second line</p>');
+  assert.strictEqual(renderTemplate('{{Name}}', data), data.Name);
+});
+
+test('decodes entities Gmail writes inside tags in html mode', () => {
+  assert.strictEqual(renderTemplate('{{Q&amp;A}}', { 'Q&A': 'yes' }, { html: true }), 'yes');
+});
+
+test('uses the fallback for blank and missing values', () => {
+  assert.strictEqual(renderTemplate('Hi {{Name|there}}', { Name: '  ' }), 'Hi there');
+  assert.strictEqual(renderTemplate('Hi {{Nickname|there}}', {}), 'Hi there');
+  assert.strictEqual(renderTemplate('Hi {{Name|}}!', { Name: '' }), 'Hi !');
+});
+
+test('keeps | inside a fallback', () => {
+  assert.strictEqual(renderTemplate('{{Name|a | b}}', { Name: '' }), 'a | b');
+  assert.deepStrictEqual(listTemplatePlaceholders('{{Days|Mon|Wed}}'), [{ key: 'Days', fallback: 'Mon|Wed' }]);
+});
+
+test('escapes the fallback in html mode', () => {
+  assert.strictEqual(renderTemplate('<p>{{Name|&lt;none&gt;}}</p>', { Name: '' }, { html: true }), '<p>&lt;none&gt;</p>');
+});
+
+test('formats dates', () => {
+  assert.strictEqual(renderTemplate('{{Due|date:d MMMM yyyy}}', { Due: '2026-01-05' }), '5 January 2026');
+  assert.strictEqual(renderTemplate("{{Due|date:MMM d 'at' h:mm a}}", { Due: new Date(2026, 0, 5, 14, 30) }), 'Jan 5 at 2:30 PM');
+  assert.strictEqual(renderTemplate('{{Due|date}}', { Due: new Date(2026, 11, 31) }), '2026-12-31');
+});
+
+test('formats numbers', () => {
+  assert.strictEqual(renderTemplate('{{Total|number:2}}', { Total: '$1,234.5' }), '1,234.50');
+  assert.strictEqual(renderTemplate('{{Total|number}}', { Total: 1234567 }), '1,234,567');
+  assert.strictEqual(renderTemplate('{{Total|number:2|n/a}}', { Total: '' }), 'n/a');
+});
+
+test('reports values that cannot be formatted', () => {
+  assert.throws(() => renderTemplate('{{Due|date}}', { Due: 'soon' }), /cannot format 'soon' as a date in {{Due}}/);
+  assert.throws(() => renderTemplate('{{Total|number:2}}', { Total: 'abc' }), /cannot format 'abc' as a number in {{Total}}/);
+});
+
+test('renders #if and else blocks', () => {
+  const template = 'Hi{{#if Company}} from {{Company}}{{else}} there{{/if}}!';
+  assert.strictEqual(renderTemplate(template, { Company: 'Acme' }), 'Hi from Acme!');
+  assert.strictEqual(renderTemplate(template, { Company: '' }), 'Hi there!');
+  assert.strictEqual(renderTemplate('{{#if A}}a{{#if B}}b{{/if}}{{/if}}', { A: 'x', B: '' }), 'a');
+});
+
+test('rejects unbalanced #if blocks', () => {
+  assert.throws(() => renderTemplate('{{#if A}}a', { A: 'x' }), /{{#if A}} is missing its {{\/if}}/);
+  assert.throws(() => renderTemplate('a{{/if}}', {}), /unexpected {{\/if}}/);
+  assert.throws(() => renderTemplate('a{{else}}b', {}), /unexpected {{else}}/);
+  assert.throws(() => renderTemplate('{{#if A}}a{{else}}b{{else}}c{{/if}}', { A: '' }), /unexpected {{else}}/);
+});
+
+test('reports every unknown key', () => {
+  assert.throws(() => renderTemplate('{{Name}} {{#if Company}}x{{/if}}', {}), error => {
+    assert.deepStrictEqual(error.templateErrors, ['unknown placeholder {{Name}}', 'unknown placeholder {{#if Company}}']);
+    return true;
+  });
+});
+
+test('lists placeholders, including those inside #if blocks', () => {
+  assert.deepStrictEqual(listTemplatePlaceholders('{{Name|there}} {{#if A}}{{Total|number:2}}{{else}}{{B}}{{/if}}'), [
+    { key: 'Name', fallback: 'there' },
+    { key: 'Total', fallback: undefined },
+    { key: 'B', fallback: undefined }
+  ]);
+});